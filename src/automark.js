@@ -0,0 +1,45 @@
+/// <reference types="./ambient.d.ts" />
+
+import { setTabDueTime } from "./due.js";
+import { findMatchingAutoMarkRule } from "./patterns.js";
+import { DEFAULTS, getSettings } from "./storage.js";
+import { getActionableData, setActionableData } from "./tab.js";
+
+if (typeof browser === "undefined") globalThis.browser = chrome;
+
+/**
+ * Mark a tab as actionable if its URL matches an enabled auto-mark rule
+ * Tabs that are already actionable are left untouched
+ * @param {number} tabId
+ * @param {string | undefined} url
+ * @returns {Promise<boolean>} Whether the tab was marked
+ */
+export async function autoMarkTab(tabId, url) {
+	if (!url) return false;
+
+	const settings = await getSettings();
+	const rule = findMatchingAutoMarkRule(
+		url,
+		settings.autoMarkRules ?? DEFAULTS.autoMarkRules,
+	);
+	if (!rule) return false;
+
+	if (await getActionableData(tabId)) return false;
+
+	/** @type {import("./storage").ActionableData} */
+	const actionableData = { markedAt: Date.now() };
+	if (rule.priority && rule.priority !== "normal") {
+		actionableData.priority = rule.priority;
+	}
+	if (rule.tags?.length) {
+		actionableData.tags = rule.tags;
+	}
+	await setActionableData(tabId, actionableData);
+
+	if (rule.dueOffsetMinutes) {
+		await setTabDueTime(tabId, Date.now() + rule.dueOffsetMinutes * 60_000);
+	}
+
+	console.log(`Tab ${tabId} auto-marked as actionable by rule ${rule.id}`);
+	return true;
+}
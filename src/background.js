@@ -1,14 +1,101 @@
 /// <reference types="./ambient.d.ts" />
 
-import { CronExpressionParser } from "cron-parser";
+import { autoMarkTab } from "./automark.js";
+import {
+	ASKING_OUTCOME,
+	CATCH_UP_NOTIFICATION_ID,
+	getPendingCatchUps,
+	reportCatchUps,
+	setPendingCatchUps,
+} from "./catchup.js";
+import {
+	checkCompletionOnUpdate,
+	getTabIdFromActiveAlarm,
+	handleActiveAlarm,
+	handleTabClosed,
+	pauseActiveTimers,
+	resumeActiveTimers,
+	startActiveTimer,
+} from "./completion.js";
+import {
+	DEFERRED_RULES_ALARM,
+	getDeferredRules,
+	getUnmetCondition,
+	IDLE_DETECTION_SECONDS,
+	setDeferredRules,
+} from "./conditions.js";
 import { formatCountdown } from "./countdown.js";
-import { isSnoozeActive, toggleGlobalSnooze } from "./snooze.js";
-import { DEFAULTS, getSettings } from "./storage.js";
+import {
+	clearDueAlarm,
+	DUE_PRESETS,
+	getDueTimeForPreset,
+	getTabIdFromDueAlarm,
+	handleDueAlarm,
+	reconcileDueAlarms,
+	setTabDueTime,
+} from "./due.js";
+import { recordHistoryEvent } from "./history.js";
+import {
+	createTabNotification,
+	NOTIFICATION_ACTIONS,
+	NOTIFICATION_SNOOZE_MS,
+	parseTabNotificationId,
+} from "./notifications.js";
+import {
+	getRemotelyUnmarkedTabIds,
+	publishQueue,
+	QUEUE_SYNC_ALARM,
+	scheduleQueuePublish,
+	withdrawQueue,
+} from "./queuesync.js";
+import { getCatchUpRunCount, getDueRuns, getNextRunTime } from "./schedule.js";
+import {
+	formatSnoozeEnd,
+	getActiveSnoozes,
+	getNextSnoozeChange,
+	getNextWeekdayMorning,
+	SNOOZE_CHANGE_ALARM,
+	snoozeAllRulesUntil,
+	toggleGlobalSnooze,
+} from "./snooze.js";
+import {
+	DEFAULTS,
+	expireRunOnceTimes,
+	getRuleCronSchedules,
+	getSettings,
+	isQueueSyncKey,
+} from "./storage.js";
 import {
 	clearAllActionableTabs,
+	forgetRecentlyClosedTab,
+	getActionableData,
+	getActionableTabsSorted,
 	getContextMenuTitle,
+	isTabSnoozed,
 	moveActionableTabsForRule,
+	pullTab,
+	rebuildActionableTabCache,
+	removeActionableData,
+	setActionableData,
+	setTabPriority,
+	setTabTags,
+	skipTab,
+	swapQueuePosition,
+	TAB_CACHE_KEY,
+	unpinVisitedTab,
 } from "./tab.js";
+import { updateActionableGroups } from "./tabgroups.js";
+import {
+	clearTabSnoozeAlarm,
+	getTabIdFromTabSnoozeAlarm,
+	getTabSnoozeTimeForPreset,
+	handleTabSnoozeAlarm,
+	reconcileTabSnoozeAlarms,
+	scheduleTabSnoozeAlarm,
+	snoozeTab,
+	TAB_SNOOZE_PRESETS,
+	unsnoozeTab,
+} from "./tabsnooze.js";
 
 if (typeof browser === "undefined") globalThis.browser = chrome;
 
@@ -26,94 +113,292 @@ const NON_ACTIONABLE_ICON_PATHS = {
 	128: "icons/icon-off-128.png",
 };
 
+/**
+ * Contexts for marking the tab that was right-clicked. Only Firefox has the
+ * "tab" context for the tab strip, and only Firefox has browser.menus.
+ * @type {import('webextension-polyfill').Menus.ContextType[]}
+ */
+const TAB_CONTEXTS =
+	typeof browser.menus !== "undefined" ? ["page", "tab"] : ["page"];
+
+/** @type {Record<import("./storage").Priority, {text: string, color: string}>} */
+const PRIORITY_BADGES = {
+	high: { text: "!", color: "#d00" },
+	normal: { text: "", color: "#000" },
+	low: { text: "↓", color: "#666" },
+};
+
+/**
+ * Top-level items of the action context menu besides the pull items:
+ * "Current tab", the snooze item, Settings and Sponsor
+ */
+const FIXED_ACTION_MENU_ITEMS = 4;
+
+/** Badge of snoozed tabs, which takes precedence over the priority badge */
+const SNOOZED_BADGE = { text: "z", color: "#888" };
+
 browser.runtime.onInstalled.addListener(async () => {
 	console.log("Actionable Tabs extension installed");
 
 	await getSettings();
 	createContextMenus();
 	await scheduleNextMove();
+	await rebuildActionableTabCache();
+	await syncQueue();
+	await reconcileDueAlarms();
+	await reconcileTabSnoozeAlarms();
+	await updateActionableGroups();
+	await startActiveTimerOfCurrentTab();
 	await initializeIconsForAllTabs();
 });
 
 browser.runtime.onStartup.addListener(async () => {
-	const settings = await getSettings();
-	const { updatedRules } = await catchUpMissedRules(settings.rules);
-	if (updatedRules !== settings.rules) {
-		await browser.storage.sync.set({ rules: structuredClone(updatedRules) });
-	}
+	// Runs missed while the browser was closed are caught up by their rule's policy
+	await executeAllRules();
 	await scheduleNextMove();
+	await rebuildActionableTabCache();
+	await syncQueue();
+	await reconcileDueAlarms();
+	await reconcileTabSnoozeAlarms();
+	await updateActionableGroups();
+	await startActiveTimerOfCurrentTab();
 	await initializeIconsForAllTabs();
 });
 
 /**
- * Check if a rule should be executed based on its cron schedule
- * @param {{id: string, cronSchedule: string}} rule
- * @param {number} now Current timestamp
- * @returns {boolean}
+ * storage.local key of the latest scheduled run each rule has handled, as a
+ * rule ID to epoch ms map. A run counts as handled once it has executed, been
+ * deferred or skipped, or been covered by a catch-up, so no scheduled instant
+ * runs twice however often the alarm fires.
  */
-function shouldExecuteRule(rule, now) {
-	if (!rule.cronSchedule?.trim()) {
-		return false;
-	}
+const HANDLED_RUNS_KEY = "handledRuleRuns";
 
-	try {
-		const interval = CronExpressionParser.parse(rule.cronSchedule, {
-			currentDate: new Date(),
-			strict: false,
-		});
-		const timeSinceLast = now - interval.prev().toDate().getTime();
-		if (timeSinceLast > 60000) {
-			return false;
-		}
-		return true;
-	} catch (_err) {
-		console.error(`Invalid cron for rule ${rule.id}, skipping`);
-		return false;
-	}
+/**
+ * @returns {Promise<Record<string, number>>}
+ */
+async function getHandledRuns() {
+	const { [HANDLED_RUNS_KEY]: handledRuns = {} } =
+		await browser.storage.local.get(HANDLED_RUNS_KEY);
+	return /** @type {Record<string, number>} */ (handledRuns);
 }
 
+/**
+ * @typedef {object} DueRule
+ * @property {number} times How many runs to make up for at once, 0 to only
+ * report missed runs
+ * @property {number} [missedRuns] Runs missed while the browser was closed or
+ * the system asleep, for catch-ups
+ */
+
 /**
  * Execute all rules in order
- * Only executes rules whose scheduled time has arrived
+ * Only executes rules with a scheduled run that has arrived and hasn't been
+ * handled yet. Runs that came due together, e.g. several runs of a
+ * seconds-level cron while the background script was suspended, execute once.
+ * Runs missed for longer, while the browser was closed or the system asleep,
+ * are caught up by the rule's catch-up policy.
  */
-async function executeAllRules() {
-	const settings = await getSettings();
-	let rules = settings.rules;
+function executeAllRules() {
+	return executeRules(async (rules) => {
+		const { dueRuns, handledRuns } = getDueRuns(
+			rules,
+			await getHandledRuns(),
+			Date.now(),
+		);
+		/** @type {Map<string, DueRule>} */
+		const dueRules = new Map();
+		for (const rule of rules) {
+			const dueRun = dueRuns.get(rule.id);
+			if (!dueRun) continue;
+			const { latestRun, missedRuns } = dueRun;
+			if (missedRuns == null) {
+				console.log(
+					`Rule ${rule.id} due for its run at ${new Date(latestRun).toISOString()}`,
+				);
+				dueRules.set(rule.id, { times: 1 });
+				continue;
+			}
+			console.log(`Rule ${rule.id}: ${missedRuns} missed run(s) detected`);
+			dueRules.set(rule.id, {
+				times: getCatchUpRunCount(rule, missedRuns),
+				missedRuns,
+			});
+		}
 
-	const executionResults = [];
-	const now = Date.now();
+		// Rebuilt from the current rules, which drops deleted rules
+		await browser.storage.local.set({ [HANDLED_RUNS_KEY]: handledRuns });
+		return dueRules;
+	});
+}
 
-	for (const rule of rules) {
-		if (!shouldExecuteRule(rule, now)) continue;
+/**
+ * Run deferred rules whose conditions have cleared
+ */
+function executeDeferredRules() {
+	return executeRules(
+		async () =>
+			new Map(
+				Object.keys(await getDeferredRules()).map((ruleId) => [
+					ruleId,
+					{ times: 1 },
+				]),
+			),
+	);
+}
 
-		console.log(`Executing rule ${rule.id} (${rule.cronSchedule})`);
-		try {
-			const result = await moveActionableTabsForRule({
-				queueMode: rule.queueMode,
-				moveDirection: rule.moveDirection,
-				moveCount: rule.moveCount,
-			});
+/**
+ * Answer the catch-up notification: run each rule waiting for an answer once,
+ * or drop their missed runs
+ * @param {boolean} run
+ */
+function answerPendingCatchUps(run) {
+	return executeRules(async () => {
+		const pendingCatchUps = await getPendingCatchUps();
+		await setPendingCatchUps({});
+		await browser.notifications.clear(CATCH_UP_NOTIFICATION_ID);
+		if (!run) return new Map();
+		return new Map(
+			Object.entries(pendingCatchUps).map(([ruleId, missedRuns]) => [
+				ruleId,
+				{ times: 1, missedRuns },
+			]),
+		);
+	});
+}
 
-			if (result) {
-				rules = rules.map((r) =>
-					r.id === rule.id ? { ...r, lastMoveTime: Date.now() } : r,
+/**
+ * Serializes rule runs, which alarms, idle changes and focus changes can all
+ * start, so a deferred run can't happen twice
+ */
+let ruleExecution = Promise.resolve();
+
+/**
+ * Execute the selected rules in order, deferring or skipping rules whose
+ * conditions aren't met
+ * @param {(rules: import("./storage").Rule[]) => Promise<Map<string, DueRule>>} selectDueRules
+ * Picks the rules to run by ID, inside the serialized section
+ * @returns {Promise<void>}
+ */
+function executeRules(selectDueRules) {
+	ruleExecution = ruleExecution
+		.then(async () => {
+			const settings = await getSettings();
+			let rules = settings.rules;
+			const dueRules = await selectDueRules(rules);
+			if (dueRules.size === 0) return;
+			const deferredRules = await getDeferredRules();
+
+			const executionResults = [];
+			/** @type {import("./catchup.js").CatchUp[]} */
+			const catchUps = [];
+
+			for (const rule of rules) {
+				const dueRule = dueRules.get(rule.id);
+				if (!dueRule) continue;
+				const { times, missedRuns } = dueRule;
+
+				if (times === 0) {
+					if (missedRuns) {
+						catchUps.push({
+							rule,
+							missedRuns,
+							outcome:
+								rule.catchUpPolicy === "ask" ? ASKING_OUTCOME : "skipped",
+						});
+					}
+					continue;
+				}
+
+				const unmetCondition = await getUnmetCondition(rule);
+				if (unmetCondition) {
+					const defer = (rule.unmetConditionPolicy ?? "defer") === "defer";
+					if (defer) {
+						deferredRules[rule.id] = unmetCondition;
+						console.log(`Deferred rule ${rule.id}: ${unmetCondition}`);
+					} else {
+						delete deferredRules[rule.id];
+						console.log(`Skipped rule ${rule.id}: ${unmetCondition}`);
+					}
+					if (missedRuns) {
+						catchUps.push({
+							rule,
+							missedRuns,
+							outcome: `${defer ? "deferred" : "skipped"} (${unmetCondition})`,
+						});
+					}
+					continue;
+				}
+				delete deferredRules[rule.id];
+
+				console.log(
+					`Executing rule ${rule.id} (${getRuleCronSchedules(rule).join(", ")})${missedRuns ? ` to catch up ${times} run(s)` : ""}`,
 				);
-				executionResults.push({ rule, result });
+				try {
+					// Each missed run made up for runs the rule's move once, as it would have
+					let result = null;
+					let moved = 0;
+					for (let run = 0; run < times; run++) {
+						const runResult = await moveActionableTabsForRule({
+							queueMode: rule.queueMode,
+							moveDirection: rule.moveDirection,
+							moveCount: rule.moveCount,
+							windowScope: rule.windowScope,
+							tagFilter: rule.tagFilter,
+							moveOptions: getMoveOptions(rule),
+							ruleId: rule.id,
+							isCatchUp: Boolean(missedRuns),
+						});
+						if (!runResult) break;
+						result = runResult;
+						moved += runResult.moveResults.filter((r) => r.didMove).length;
+					}
+
+					if (result) {
+						rules = rules.map((r) =>
+							r.id === rule.id ? { ...r, lastMoveTime: Date.now() } : r,
+						);
+					}
+					if (missedRuns) {
+						catchUps.push({
+							rule,
+							missedRuns,
+							outcome: times === 1 ? "ran once" : `ran ${times} times`,
+							moved,
+						});
+					} else if (result) {
+						executionResults.push({ rule, result });
+					}
+				} catch (error) {
+					console.error(`Error executing rule ${rule.id}:`, error);
+					// Continue with next rule even if this one failed
+				}
 			}
-		} catch (error) {
-			console.error(`Error executing rule ${rule.id}:`, error);
-			// Continue with next rule even if this one failed
-		}
-	}
 
-	// Create aggregated notification if multiple rules executed with notifications
-	await createAggregatedNotification(executionResults);
+			// Drop deferred runs of rules that were deleted meanwhile
+			for (const ruleId of Object.keys(deferredRules)) {
+				if (!rules.some((r) => r.id === ruleId)) delete deferredRules[ruleId];
+			}
+			await setDeferredRules(deferredRules);
+
+			// Create aggregated notification if multiple rules executed with notifications
+			await createAggregatedNotification(executionResults);
+			if (catchUps.length > 0) {
+				await reportCatchUps(catchUps, rules);
+			}
 
-	// Save all updated rules at once
-	await browser.storage.sync.set({ rules: structuredClone(rules) });
+			// One-time runs that were due have now run, or were deferred or skipped
+			rules = expireRunOnceTimes(rules, Date.now());
 
-	// Reschedule the next move to ensure the alarm schedule is up-to-date
-	await scheduleNextMove();
+			// Save all updated rules at once
+			await browser.storage.sync.set({ rules: structuredClone(rules) });
+
+			// Reschedule the next move to ensure the alarm schedule is up-to-date
+			await scheduleNextMove();
+		})
+		.catch((error) => {
+			console.error("Error executing rules:", error);
+		});
+	return ruleExecution;
 }
 
 /**
@@ -134,17 +419,19 @@ async function createAggregatedNotification(executionResults) {
 		const { result } = rulesWithNotifications[0];
 		const { moveResults, directionText } = result;
 		const { tab } = moveResults[0];
-		const message =
-			moveResults.length === 1
-				? `Pulled "${tab.title}" to ${directionText}`
-				: `Moved ${moveResults.length} actionable tab(s) to ${directionText}`;
 
-		browser.notifications.create({
-			type: "basic",
-			iconUrl: "icons/icon-on-48.png",
-			title: "Actionable Tabs",
-			message: message,
-		});
+		if (moveResults.length === 1) {
+			await createTabNotification(
+				tab.id,
+				`Pulled "${tab.title}" ${directionText}`,
+				{ actions: NOTIFICATION_ACTIONS },
+			);
+		} else {
+			await createTabNotification(
+				tab.id,
+				`Moved ${moveResults.length} actionable tab(s) ${directionText}`,
+			);
+		}
 	} else {
 		// Multiple rules - show aggregated notification with details
 		const totalTabsMoved = rulesWithNotifications.reduce(
@@ -160,23 +447,45 @@ async function createAggregatedNotification(executionResults) {
 			const tabTitle = firstTab ? `"${firstTab.title}"` : "tabs";
 
 			if (tabsMoved === 1) {
-				return `Pulled ${tabTitle} to ${result.directionText}`;
+				return `Pulled ${tabTitle} ${result.directionText}`;
 			} else {
-				return `Moved ${tabsMoved} actionable tab(s) to ${result.directionText}`;
+				return `Moved ${tabsMoved} actionable tab(s) ${result.directionText}`;
 			}
 		});
 
 		const message = `${rulesWithNotifications.length} rules executed: moved ${totalTabsMoved} actionable tab(s)\n\n${ruleDetails.join("\n")}`;
 
-		browser.notifications.create({
-			type: "basic",
-			iconUrl: "icons/icon-on-48.png",
-			title: "Actionable Tabs",
-			message,
-		});
+		// Clicking goes to the first tab pulled
+		const firstResult = rulesWithNotifications[0].result.moveResults.find(
+			(r) => r.didMove,
+		);
+		await createTabNotification(firstResult.tab.id, message);
 	}
 }
 
+/**
+ * Get how a rule moves tabs besides their direction, leaving out unset options
+ * so rules that move tabs the same way compare equal
+ * @param {import("./storage").Rule} rule
+ * @returns {import("./storage").MoveOptions}
+ */
+function getMoveOptions(rule) {
+	return {
+		moveTarget: rule.moveTarget ?? "edge",
+		...(rule.moveTarget === "position" && {
+			targetPosition: rule.targetPosition ?? 1,
+		}),
+		...(rule.moveTarget === "active" && {
+			activeTabOffset: rule.activeTabOffset ?? 1,
+		}),
+		...(rule.focusPulledTab && { focusPulledTab: true }),
+		...(rule.pinPulledTabs && { pinPulledTabs: true }),
+		...(rule.reloadStaleMinutes != null && {
+			reloadStaleMinutes: rule.reloadStaleMinutes,
+		}),
+	};
+}
+
 /**
  * Create context menu items dynamically based on rules
  */
@@ -189,11 +498,22 @@ async function createContextMenus() {
 	const uniqueActions = new Map();
 
 	for (const rule of rules) {
-		const actionKey = `${rule.queueMode}_${rule.moveDirection}`;
+		const windowScope = rule.windowScope ?? "focused";
+		const tagFilter = rule.tagFilter ?? [];
+		const actionKey = JSON.stringify([
+			rule.queueMode,
+			rule.moveDirection,
+			windowScope,
+			tagFilter,
+			getMoveOptions(rule),
+		]);
 		if (!uniqueActions.has(actionKey)) {
 			uniqueActions.set(actionKey, {
 				queueMode: rule.queueMode,
 				moveDirection: rule.moveDirection,
+				windowScope,
+				tagFilter,
+				moveOptions: getMoveOptions(rule),
 				ruleIds: [rule.id],
 			});
 		} else {
@@ -201,21 +521,43 @@ async function createContextMenus() {
 		}
 	}
 
-	// Create menu items for each unique action
+	// Browsers drop top-level action items past the limit, so the pull items
+	// go into a submenu when they would push out the others
+	const pullSlots =
+		browser.contextMenus.ACTION_MENU_TOP_LEVEL_LIMIT - FIXED_ACTION_MENU_ITEMS;
+	const nestPullItems = uniqueActions.size > pullSlots;
+	if (nestPullItems) {
+		browser.contextMenus.create({
+			id: "pull",
+			title: "Pull next tab",
+			contexts: ["action"],
+		});
+	}
+
+	// Create menu items for each unique action, run with the first rule's settings
 	let menuItemIndex = 0;
-	for (const [actionKey, action] of uniqueActions) {
-		const { queueMode, moveDirection } = action;
-		const title = getContextMenuTitle(queueMode, moveDirection);
+	for (const action of uniqueActions.values()) {
+		const { queueMode, moveDirection, windowScope, tagFilter, moveOptions } =
+			action;
+		const title = getContextMenuTitle(
+			queueMode,
+			moveDirection,
+			windowScope,
+			tagFilter,
+			moveOptions,
+		);
 
 		browser.contextMenus.create({
-			id: `pull-actionable-tab_${actionKey}`,
+			id: `pull-actionable-tab_${action.ruleIds[0]}`,
+			...(nestPullItems && { parentId: "pull" }),
 			title: title,
 			contexts: ["action"],
 		});
 		menuItemIndex++;
 	}
 
-	if (menuItemIndex > 0) {
+	// Separators count towards the limit too
+	if (menuItemIndex > 0 && (nestPullItems ? 1 : menuItemIndex) < pullSlots) {
 		browser.contextMenus.create({
 			id: "separator-1",
 			type: "separator",
@@ -223,17 +565,195 @@ async function createContextMenus() {
 		});
 	}
 
-	const snoozeActive = await isSnoozeActive();
-	const snoozeMinutes = settings.snoozeMinutes ?? DEFAULTS.snoozeMinutes;
+	browser.contextMenus.create({
+		id: "current-tab",
+		title: "Current tab",
+		contexts: ["action"],
+	});
+
+	browser.contextMenus.create({
+		id: "priority",
+		parentId: "current-tab",
+		title: "Priority",
+		contexts: ["action"],
+	});
+
+	for (const [priority, title] of /** @type {const} */ ([
+		["high", "High"],
+		["normal", "Normal"],
+		["low", "Low"],
+	])) {
+		browser.contextMenus.create({
+			id: `priority_${priority}`,
+			parentId: "priority",
+			type: "radio",
+			title,
+			checked: priority === "normal",
+			contexts: ["action"],
+		});
+	}
+
+	const tags = settings.tags ?? DEFAULTS.tags;
+	if (tags.length > 0) {
+		browser.contextMenus.create({
+			id: "tags",
+			parentId: "current-tab",
+			title: "Tags",
+			contexts: ["action"],
+		});
+
+		for (const tag of tags) {
+			browser.contextMenus.create({
+				id: `tag_${encodeURIComponent(tag)}`,
+				parentId: "tags",
+				type: "checkbox",
+				title: tag,
+				checked: false,
+				contexts: ["action"],
+			});
+		}
+	}
+
+	browser.contextMenus.create({
+		id: "due",
+		parentId: "current-tab",
+		title: "Remind me",
+		contexts: ["action"],
+	});
+
+	for (const preset of DUE_PRESETS) {
+		browser.contextMenus.create({
+			id: `due-preset_${preset.id}`,
+			parentId: "due",
+			title: preset.title,
+			contexts: ["action"],
+		});
+	}
 
 	browser.contextMenus.create({
-		id: "snooze-global",
-		title: snoozeActive
-			? "Cancel snooze"
-			: `Snooze all rules (${formatCountdown(snoozeMinutes * 60 * 1000, { preposition: false })})`,
+		id: "due-clear",
+		parentId: "due",
+		title: "Clear reminder",
 		contexts: ["action"],
 	});
 
+	browser.contextMenus.create({
+		id: "mark-tab",
+		title: "Mark tab actionable",
+		contexts: TAB_CONTEXTS,
+	});
+
+	browser.contextMenus.create({
+		id: "mark-highlighted-tabs",
+		title: "Mark all selected tabs actionable",
+		contexts: TAB_CONTEXTS,
+	});
+
+	browser.contextMenus.create({
+		id: "mark-due",
+		title: "Mark with due time",
+		contexts: TAB_CONTEXTS,
+	});
+
+	for (const preset of DUE_PRESETS) {
+		browser.contextMenus.create({
+			id: `mark-due-preset_${preset.id}`,
+			parentId: "mark-due",
+			title: preset.title,
+			contexts: TAB_CONTEXTS,
+		});
+	}
+
+	/**
+	 * Under "Current tab" in the action menu, and top-level on pages and tabs
+	 * @type {{prefix: string, parentId?: string, contexts: import('webextension-polyfill').Menus.ContextType[]}[]}
+	 */
+	const tabSnoozeMenus = [
+		{
+			prefix: "current-tab-snooze",
+			parentId: "current-tab",
+			contexts: ["action"],
+		},
+		{ prefix: "tab-snooze", contexts: TAB_CONTEXTS },
+	];
+	for (const { prefix, parentId, contexts } of tabSnoozeMenus) {
+		browser.contextMenus.create({
+			id: prefix,
+			...(parentId && { parentId }),
+			title: "Snooze tab",
+			contexts,
+		});
+
+		for (const preset of TAB_SNOOZE_PRESETS) {
+			browser.contextMenus.create({
+				id: `${prefix}-preset_${preset.id}`,
+				parentId: prefix,
+				title: preset.title,
+				contexts,
+			});
+		}
+
+		browser.contextMenus.create({
+			id: `${prefix}-wake`,
+			parentId: prefix,
+			title: "Wake now",
+			contexts,
+		});
+	}
+
+	browser.contextMenus.create({
+		id: "open-link-actionable",
+		title: "Open link as actionable tab",
+		contexts: ["link"],
+	});
+
+	const snoozeMinutes = settings.snoozeMinutes ?? DEFAULTS.snoozeMinutes;
+	const activeSnoozes = getActiveSnoozes(settings);
+	const globalSnooze = activeSnoozes.find((source) => source.id === "global");
+	const quietHours = activeSnoozes.find((source) =>
+		source.id.startsWith("quiet_"),
+	);
+
+	if (globalSnooze) {
+		browser.contextMenus.create({
+			id: "snooze-global",
+			title: `Cancel snooze (until ${formatSnoozeEnd(globalSnooze.until)})`,
+			contexts: ["action"],
+		});
+	} else {
+		browser.contextMenus.create({
+			id: "snooze",
+			title: quietHours
+				? `Snooze all rules (${quietHours.label} until ${formatSnoozeEnd(quietHours.until)})`
+				: "Snooze all rules",
+			contexts: ["action"],
+		});
+
+		browser.contextMenus.create({
+			id: "snooze-global",
+			parentId: "snooze",
+			title: `For ${formatCountdown(snoozeMinutes * 60 * 1000, { preposition: false })}`,
+			contexts: ["action"],
+		});
+
+		browser.contextMenus.create({
+			id: "snooze-next-weekday",
+			parentId: "snooze",
+			title: "Until next weekday 9:00",
+			contexts: ["action"],
+		});
+	}
+
+	// Refresh the snooze titles when a snooze starts or ends
+	const nextSnoozeChange = getNextSnoozeChange(settings);
+	if (nextSnoozeChange != null) {
+		await browser.alarms.create(SNOOZE_CHANGE_ALARM, {
+			when: nextSnoozeChange,
+		});
+	} else {
+		await browser.alarms.clear(SNOOZE_CHANGE_ALARM);
+	}
+
 	browser.contextMenus.create({
 		id: "open-settings",
 		title: "Settings",
@@ -245,27 +765,39 @@ async function createContextMenus() {
 		title: "❤️ Sponsor me",
 		contexts: ["action"],
 	});
+
+	const [activeTab] = await browser.tabs.query({
+		active: true,
+		currentWindow: true,
+	});
+	if (activeTab?.id != null) {
+		await updateTabMenus(activeTab.id);
+	}
 }
 
 /**
  * Handle context menu clicks
  */
-browser.contextMenus.onClicked.addListener(async (info, _tab) => {
+browser.contextMenus.onClicked.addListener(async (info, tab) => {
 	const menuItemId = info.menuItemId;
 
 	if (
 		typeof menuItemId === "string" &&
 		menuItemId.startsWith("pull-actionable-tab_")
 	) {
-		// Extract queueMode and moveDirection from the menu item ID
-		const actionKey = menuItemId.replace("pull-actionable-tab_", "");
-		const [queueMode, moveDirection] = actionKey.split("_");
+		// The menu item runs the action of the first rule with it
+		const ruleId = menuItemId.replace("pull-actionable-tab_", "");
+		const rule = (await getSettings()).rules.find((r) => r.id === ruleId);
+		if (!rule) return;
 
 		try {
 			await moveActionableTabsForRule({
-				queueMode,
-				moveDirection,
+				queueMode: rule.queueMode,
+				moveDirection: rule.moveDirection,
 				moveCount: 1,
+				windowScope: rule.windowScope,
+				tagFilter: rule.tagFilter,
+				moveOptions: getMoveOptions(rule),
 				isManual: true,
 			});
 		} catch (error) {
@@ -280,12 +812,100 @@ browser.contextMenus.onClicked.addListener(async (info, _tab) => {
 		return;
 	}
 
+	if (
+		typeof menuItemId === "string" &&
+		(menuItemId.startsWith("due-preset_") ||
+			menuItemId.startsWith("mark-due-preset_")) &&
+		tab?.id != null
+	) {
+		const dueAt = getDueTimeForPreset(menuItemId.replace(/^.*due-preset_/, ""));
+		if (dueAt != null) {
+			await setTabDueTime(tab.id, dueAt);
+			await updateIconForTab(tab.id, true);
+		}
+		return;
+	}
+
+	if (
+		typeof menuItemId === "string" &&
+		/^(current-)?tab-snooze-preset_/.test(menuItemId) &&
+		tab?.id != null
+	) {
+		const snoozedUntil = getTabSnoozeTimeForPreset(
+			menuItemId.replace(/^.*tab-snooze-preset_/, ""),
+		);
+		if (snoozedUntil != null) {
+			await snoozeTab(tab.id, snoozedUntil);
+			await updateIconForTab(tab.id, true);
+		}
+		return;
+	}
+
+	if (
+		typeof menuItemId === "string" &&
+		menuItemId.startsWith("priority_") &&
+		tab?.id != null
+	) {
+		const priority = /** @type {import("./storage").Priority} */ (
+			menuItemId.replace("priority_", "")
+		);
+		await setTabPriority(tab.id, priority);
+		await updateIconForTab(tab.id, true);
+		return;
+	}
+
+	if (
+		typeof menuItemId === "string" &&
+		menuItemId.startsWith("tag_") &&
+		tab?.id != null
+	) {
+		const tag = decodeURIComponent(menuItemId.replace("tag_", ""));
+		const currentTags = (await getActionableData(tab.id))?.tags ?? [];
+		const tags = info.checked
+			? [...new Set([...currentTags, tag])]
+			: currentTags.filter((t) => t !== tag);
+		await setTabTags(tab.id, tags);
+		await updateIconForTab(tab.id, true);
+		return;
+	}
+
 	switch (menuItemId) {
+		case "mark-tab":
+			if (tab?.id != null) {
+				await setActionableState(tab.id, true);
+			}
+			break;
+		case "mark-highlighted-tabs":
+			if (tab?.id != null) {
+				await setSelectedTabsState(await getSelectedTabIds(tab), true);
+			}
+			break;
+		case "open-link-actionable":
+			if (info.linkUrl) {
+				await openLinkAsActionableTab(info.linkUrl, tab);
+			}
+			break;
+		case "due-clear":
+			if (tab?.id != null && (await getActionableData(tab.id))) {
+				await setTabDueTime(tab.id, null);
+			}
+			break;
+		case "current-tab-snooze-wake":
+		case "tab-snooze-wake":
+			if (tab?.id != null) {
+				await unsnoozeTab(tab.id, false);
+				await updateIconForTab(tab.id, true);
+			}
+			break;
 		case "snooze-global": {
 			await toggleGlobalSnooze();
 			await createContextMenus();
 			break;
 		}
+		case "snooze-next-weekday":
+			await snoozeAllRulesUntil(getNextWeekdayMorning());
+			await createContextMenus();
+			break;
 		case "open-settings":
 			browser.runtime.openOptionsPage();
 			break;
@@ -296,69 +916,371 @@ browser.contextMenus.onClicked.addListener(async (info, _tab) => {
 });
 
 /**
- * Handle browser action clicks - toggle actionable state
+ * Get the IDs of the selected (highlighted) tabs in tab strip order. A
+ * right-clicked tab outside the selection counts alone, as in the tab strip.
+ * @param {import('webextension-polyfill').Tabs.Tab} [clickedTab] - The right-clicked tab, or the current tab if omitted
+ * @returns {Promise<number[]>}
  */
-browser.action.onClicked.addListener(async (tab) => {
-	await toggleActionableState(tab);
-});
+async function getSelectedTabIds(clickedTab) {
+	const tab = clickedTab ?? (await getCurrentTab());
+	if (tab?.id == null) return [];
+
+	const highlightedTabs = await browser.tabs.query({
+		highlighted: true,
+		windowId: tab.windowId,
+	});
+	return highlightedTabs.some((t) => t.id === tab.id)
+		? highlightedTabs.flatMap((t) => (t.id != null ? [t.id] : []))
+		: [tab.id];
+}
 
 /**
- * Toggle whether the current tab is actionable
- * @param {import('webextension-polyfill').Tabs.Tab} tab
+ * Mark or unmark several tabs, summarizing in one notification
+ * @param {number[]} tabIds
+ * @param {boolean} actionable
  */
-async function toggleActionableState(tab) {
-	if (!tab.id) return;
+async function setSelectedTabsState(tabIds, actionable) {
+	for (const tabId of tabIds) {
+		await setActionableState(tabId, actionable);
+	}
 
-	const isCurrentlyActionable = await browser.sessions.getTabValue(
-		tab.id,
-		"actionable",
+	console.log(
+		`${actionable ? "Marked" : "Unmarked"} ${tabIds.length} selected tab(s)`,
 	);
-
-	if (isCurrentlyActionable) {
-		await browser.sessions.removeTabValue(tab.id, "actionable");
-		await updateIconForTab(tab.id, false);
-		console.log(`Tab ${tab.id} unmarked as actionable`);
-	} else {
-		const actionableData = {
-			markedAt: Date.now(),
-		};
-		await browser.sessions.setTabValue(tab.id, "actionable", actionableData);
-		await updateIconForTab(tab.id, true);
-		console.log(`Tab ${tab.id} marked as actionable`);
+	// A single tab's badge already shows the change
+	if (tabIds.length > 1) {
+		browser.notifications.create({
+			type: "basic",
+			iconUrl: actionable ? "icons/icon-on-48.png" : "icons/icon-off-48.png",
+			title: "Actionable Tabs",
+			message: `${actionable ? "Marked" : "Unmarked"} ${tabIds.length} tabs as actionable`,
+		});
 	}
 }
 
 /**
- * Update icon state for a specific tab
- * @param {number} tabId
- * @param {boolean | null} isActionable
+ * Toggle the selected tabs: mark them all unless all are already actionable,
+ * in which case unmark them all
  */
-async function updateIconForTab(tabId, isActionable = null) {
-	try {
-		if (isActionable === null) {
-			try {
-				const actionableData = await browser.sessions.getTabValue(
-					tabId,
-					"actionable",
-				);
-				isActionable = !!actionableData;
-			} catch (_sessionError) {
-				isActionable = false;
-			}
+async function toggleSelectedTabs() {
+	const tabIds = await getSelectedTabIds();
+	for (const tabId of tabIds) {
+		if (!(await getActionableData(tabId))) {
+			await setSelectedTabsState(tabIds, true);
+			return;
 		}
+	}
+	await setSelectedTabsState(tabIds, false);
+}
 
-		const iconPaths = isActionable
-			? ACTIONABLE_ICON_PATHS
-			: NON_ACTIONABLE_ICON_PATHS;
+/**
+ * Get the direction for a move started by hand, defaulting to the first rule's
+ * @param {import("./storage").Rule["moveDirection"]} [moveDirection] - Direction the request asked for
+ * @returns {Promise<import("./storage").Rule["moveDirection"]>}
+ */
+async function getManualMoveDirection(moveDirection) {
+	if (moveDirection) return moveDirection;
+	const settings = await getSettings();
+	return settings.rules[0]?.moveDirection ?? "left";
+}
 
-		await browser.action.setIcon({
-			tabId: tabId,
-			path: iconPaths,
-		});
+/**
+ * Pull the selected actionable tabs as a group in the first rule's direction
+ * @param {number[]} tabIds
+ */
+async function pullSelectedTabs(tabIds) {
+	await moveActionableTabsForRule({
+		queueMode: "oldest",
+		moveDirection: await getManualMoveDirection(),
+		tabIds,
+		isManual: true,
+	});
+}
+
+/**
+ * Move tabs into a new window, keeping their relative order
+ * @param {number[]} tabIds
+ */
+async function moveTabsToNewWindow(tabIds) {
+	const [firstTabId, ...otherTabIds] = tabIds;
+	if (firstTabId == null) return;
+
+	const newWindow = await browser.windows.create({ tabId: firstTabId });
+	if (otherTabIds.length > 0 && newWindow.id != null) {
+		await browser.tabs.move(otherTabIds, { windowId: newWindow.id, index: -1 });
+	}
+
+	browser.notifications.create({
+		type: "basic",
+		iconUrl: "icons/icon-on-48.png",
+		title: "Actionable Tabs",
+		message: `Moved ${tabIds.length} selected tab(s) to a new window`,
+	});
+}
 
-		if (isActionable) {
+/**
+ * Open a link in a background tab next to the tab it was clicked in, and mark it
+ * @param {string} url
+ * @param {import('webextension-polyfill').Tabs.Tab | undefined} openerTab
+ */
+async function openLinkAsActionableTab(url, openerTab) {
+	const newTab = await browser.tabs.create({
+		url,
+		active: false,
+		...(openerTab?.id != null && {
+			openerTabId: openerTab.id,
+			windowId: openerTab.windowId,
+			index: openerTab.index + 1,
+		}),
+	});
+	if (newTab.id != null) {
+		await setActionableState(newTab.id, true);
+	}
+}
+
+/**
+ * Get the active tab of the last focused window
+ * @returns {Promise<(import('webextension-polyfill').Tabs.Tab & {id: number}) | undefined>}
+ */
+async function getCurrentTab() {
+	const [tab] = await browser.tabs.query({
+		active: true,
+		lastFocusedWindow: true,
+	});
+	return tab?.id != null
+		? /** @type {typeof tab & {id: number}} */ (tab)
+		: undefined;
+}
+
+/**
+ * Pull the next actionable tab the way a rule would, regardless of its schedule
+ * @param {number} ruleIndex - Index of the rule in settings
+ */
+async function pullNextTabForRule(ruleIndex) {
+	const settings = await getSettings();
+	const rule = settings.rules[ruleIndex];
+	if (!rule) {
+		console.log(`No rule ${ruleIndex + 1} to pull a tab for`);
+		return;
+	}
+
+	await moveActionableTabsForRule({
+		queueMode: rule.queueMode,
+		moveDirection: rule.moveDirection,
+		moveCount: 1,
+		windowScope: rule.windowScope,
+		tagFilter: rule.tagFilter,
+		moveOptions: getMoveOptions(rule),
+		isManual: true,
+		ruleId: rule.id,
+	});
+}
+
+/**
+ * Focus the actionable tab after the current one in the first rule's queue
+ * order, wrapping around to the start of the queue
+ */
+async function focusNextActionableTab() {
+	const settings = await getSettings();
+	const queueMode = settings.rules[0]?.queueMode ?? "oldest";
+	const actionableTabs = await getActionableTabsSorted(queueMode);
+	if (actionableTabs.length === 0) return;
+
+	const currentTab = await getCurrentTab();
+	const currentIndex = actionableTabs.findIndex(
+		({ tabId }) => tabId === currentTab?.id,
+	);
+	const { tab } = actionableTabs[(currentIndex + 1) % actionableTabs.length];
+	await focusTab(tab);
+}
+
+/**
+ * Activate a tab and focus its window
+ * @param {import('webextension-polyfill').Tabs.Tab & {id: number}} tab
+ */
+async function focusTab(tab) {
+	await browser.tabs.update(tab.id, { active: true });
+	await browser.windows.update(
+		tab.windowId ?? browser.windows.WINDOW_ID_CURRENT,
+		{
+			focused: true,
+		},
+	);
+}
+
+/**
+ * Handle keyboard shortcuts
+ */
+browser.commands.onCommand.addListener(async (command) => {
+	try {
+		if (command.startsWith("pull-rule-")) {
+			await pullNextTabForRule(Number(command.replace("pull-rule-", "")) - 1);
+			return;
+		}
+
+		switch (command) {
+			case "toggle-actionable":
+				await toggleSelectedTabs();
+				break;
+			case "pull-selected":
+				await pullSelectedTabs(await getSelectedTabIds());
+				break;
+			case "move-selected-to-window":
+				await moveTabsToNewWindow(await getSelectedTabIds());
+				break;
+			case "cycle-actionable":
+				await focusNextActionableTab();
+				break;
+			case "toggle-snooze": {
+				// A shortcut gives no visual feedback, so confirm with a notification
+				const snoozeUntil = await toggleGlobalSnooze();
+				browser.notifications.create({
+					type: "basic",
+					iconUrl: "icons/icon-off-48.png",
+					title: "Actionable Tabs",
+					message: snoozeUntil
+						? `Rules snoozed until ${new Date(snoozeUntil).toLocaleTimeString()}`
+						: "Snooze cancelled",
+				});
+				break;
+			}
+		}
+	} catch (error) {
+		console.error(`Error running command ${command}:`, error);
+	}
+});
+
+/**
+ * Re-mark imported actionable tabs whose URL is open, optionally reopening the rest
+ * @param {import("./backup").BackupTab[]} tabs - Tabs from a backup file
+ * @param {boolean} reopenMissing - Whether to open tabs for URLs that aren't open
+ * @returns {Promise<{remarked: number, reopened: number, skipped: number}>}
+ */
+async function importActionableTabs(tabs, reopenMissing) {
+	const openTabs = await browser.tabs.query({ windowType: "normal" });
+	const counts = { remarked: 0, reopened: 0, skipped: 0 };
+
+	for (const { url, data } of tabs) {
+		try {
+			let tabId = openTabs.find((t) => t.url === url)?.id;
+			if (tabId != null) {
+				if (await getActionableData(tabId)) {
+					counts.skipped++;
+					continue;
+				}
+				counts.remarked++;
+			} else if (reopenMissing) {
+				tabId = (await browser.tabs.create({ url, active: false })).id;
+				if (tabId == null) throw new Error("Tab has no ID");
+				counts.reopened++;
+			} else {
+				counts.skipped++;
+				continue;
+			}
+
+			// Snoozes that ran out while exported end now, rather than hiding the tab
+			const { dueAt, snoozedUntil, ...rest } = data;
+			const isSnoozed = snoozedUntil != null && snoozedUntil > Date.now();
+			await setActionableData(
+				tabId,
+				isSnoozed ? { ...rest, snoozedUntil } : rest,
+			);
+			if (dueAt != null) {
+				await setTabDueTime(tabId, dueAt);
+			}
+			if (isSnoozed) {
+				await scheduleTabSnoozeAlarm(tabId, snoozedUntil);
+			}
+			await updateIconForTab(tabId, true);
+		} catch (error) {
+			console.error(`Error importing actionable tab ${url}:`, error);
+			counts.skipped++;
+		}
+	}
+
+	console.log(
+		`Imported actionable tabs: ${counts.remarked} re-marked, ${counts.reopened} reopened, ${counts.skipped} skipped`,
+	);
+	return counts;
+}
+
+/**
+ * Mark or unmark a tab as actionable
+ * @param {number} tabId
+ * @param {boolean} actionable
+ * @param {boolean} [remote] - Whether another device unmarked the tab
+ */
+async function setActionableState(tabId, actionable, remote = false) {
+	if (!actionable) {
+		await removeActionableData(tabId, undefined, remote);
+		await clearDueAlarm(tabId);
+		await clearTabSnoozeAlarm(tabId);
+		await updateIconForTab(tabId, false);
+		console.log(`Tab ${tabId} unmarked as actionable`);
+	} else if (!(await getActionableData(tabId))) {
+		const actionableData = {
+			markedAt: Date.now(),
+		};
+		await setActionableData(tabId, actionableData);
+		await updateIconForTab(tabId, true);
+		console.log(`Tab ${tabId} marked as actionable`);
+	}
+}
+
+/**
+ * Update icon state for a specific tab
+ * @param {number} tabId
+ * @param {boolean | null} isActionable
+ */
+async function updateIconForTab(tabId, isActionable = null) {
+	/** @type {import("./storage").Priority} */
+	let priority = "normal";
+	/** @type {number | undefined} */
+	let snoozedUntil;
+	try {
+		if (isActionable !== false) {
+			try {
+				const actionableData = await getActionableData(tabId);
+				isActionable = !!actionableData;
+				priority = actionableData?.priority ?? "normal";
+				if (actionableData && isTabSnoozed(actionableData)) {
+					snoozedUntil = actionableData.snoozedUntil;
+				}
+			} catch (_sessionError) {
+				isActionable = false;
+			}
+		}
+
+		const iconPaths = isActionable
+			? ACTIONABLE_ICON_PATHS
+			: NON_ACTIONABLE_ICON_PATHS;
+
+		await browser.action.setIcon({
+			tabId: tabId,
+			path: iconPaths,
+		});
+
+		const badge =
+			snoozedUntil != null ? SNOOZED_BADGE : PRIORITY_BADGES[priority];
+		await browser.action.setBadgeText({ tabId, text: badge.text });
+		if (badge.text) {
+			await browser.action.setBadgeBackgroundColor({
+				tabId,
+				color: badge.color,
+			});
+		}
+
+		if (isActionable && snoozedUntil != null) {
 			await browser.action.setTitle({
-				title: "Actionable Tabs - This tab is actionable",
+				title: `Actionable Tabs - This tab is snoozed until ${new Date(snoozedUntil).toLocaleString()}`,
+				tabId: tabId,
+			});
+		} else if (isActionable) {
+			await browser.action.setTitle({
+				title:
+					priority === "normal"
+						? "Actionable Tabs - This tab is actionable"
+						: `Actionable Tabs - This tab is actionable (${priority} priority)`,
 				tabId: tabId,
 			});
 		} else {
@@ -375,11 +1297,39 @@ async function updateIconForTab(tabId, isActionable = null) {
 	}
 }
 
+/**
+ * Check the priority and tag menu items matching a tab's actionable data
+ * @param {number} tabId
+ */
+async function updateTabMenus(tabId) {
+	try {
+		const actionableData = await getActionableData(tabId);
+		await browser.contextMenus.update(
+			`priority_${actionableData?.priority ?? "normal"}`,
+			{ checked: true },
+		);
+
+		const settings = await getSettings();
+		for (const tag of settings.tags ?? DEFAULTS.tags) {
+			await browser.contextMenus.update(`tag_${encodeURIComponent(tag)}`, {
+				checked: actionableData?.tags?.includes(tag) ?? false,
+			});
+		}
+	} catch (error) {
+		console.log(`Could not update menus for tab ${tabId}:`, String(error));
+	}
+}
+
 /**
  * Update icon state when tab is activated
  */
 browser.tabs.onActivated.addListener(async (activeInfo) => {
 	await updateIconForTab(activeInfo.tabId);
+	await updateTabMenus(activeInfo.tabId);
+	await startActiveTimer(activeInfo.tabId, activeInfo.previousTabId);
+	if (activeInfo.previousTabId != null) {
+		await unpinVisitedTab(activeInfo.previousTabId);
+	}
 });
 
 /**
@@ -408,10 +1358,12 @@ async function initializeIconsForAllTabs() {
 /**
  * Update icon state when a new tab is created
  * Ensures new tabs show the correct icon state immediately
+ * Tabs opened on a URL matching an auto-mark rule are marked first
  */
 browser.tabs.onCreated.addListener(async (tab) => {
 	if (!tab.id) return;
 
+	await autoMarkTab(tab.id, tab.url);
 	await updateIconForTab(tab.id);
 	console.log(`Updated icon for newly created tab ${tab.id}`);
 });
@@ -419,235 +1371,246 @@ browser.tabs.onCreated.addListener(async (tab) => {
 /**
  * Update icon state when a tab is updated (including reloads)
  * Ensures the correct icon state is maintained after tab reloads
+ * Completion rules are checked first, then tabs navigating to a URL matching
+ * an auto-mark rule are marked, unless the update just completed them, which
+ * would mark them again right away when a URL matches both kinds of rules
  */
-browser.tabs.onUpdated.addListener(async (tabId) => {
+browser.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+	const completed = await checkCompletionOnUpdate(
+		/** @type {typeof tab & {id: number}} */ (tab),
+		changeInfo,
+	);
+	if (changeInfo.url && !completed) {
+		await autoMarkTab(tabId, changeInfo.url);
+	}
+	// Pinned tabs can't be in a group, so unpinned ones are grouped again
+	if (changeInfo.pinned === false) {
+		await updateActionableGroups();
+	}
 	await updateIconForTab(tabId);
 });
 
 /**
- * Schedule the next automatic move based on cron settings
+ * Regroup actionable tabs moved to another window, which leave their group
+ */
+browser.tabs.onAttached.addListener(async () => {
+	await updateActionableGroups();
+});
+
+/**
+ * Record a closed actionable tab as completed and clear its due alarm
+ */
+browser.tabs.onRemoved.addListener(async (tabId) => {
+	await handleTabClosed(tabId);
+	await clearDueAlarm(tabId);
+	await clearTabSnoozeAlarm(tabId);
+});
+
+/**
+ * Schedule the alarm for the next run of any rule, at the exact time it is due
+ * rather than a rounded delay. The alarm is the head of a queue of runs: when
+ * it fires, every rule with an unhandled run executes and the alarm moves on to
+ * the next run. Browsers may fire the alarm later than asked (Chrome waits at
+ * least 30 seconds, and nothing fires while the system sleeps); the handled
+ * runs stored by executeAllRules keep such runs from being lost or repeated.
  */
 async function scheduleNextMove() {
 	const settings = await getSettings();
-	const rules = settings.rules;
+	const now = Date.now();
 
-	// Find the next execution time across all rules
+	/** @type {number | null} */
 	let nextExecutionTime = null;
-	let nextDelayMinutes = 30; // default fallback
-
-	for (const rule of rules) {
-		// Skip rules with no scheduled run (empty cron expression)
-		if (!rule.cronSchedule || !rule.cronSchedule.trim()) {
-			continue;
-		}
-
-		const delayMinutes = parseCronToNextDelay(rule.cronSchedule);
-		if (delayMinutes === null) {
-			continue;
-		}
-
-		const executionTime = Date.now() + delayMinutes * 60 * 1000;
-
-		if (!nextExecutionTime || executionTime < nextExecutionTime) {
-			nextExecutionTime = executionTime;
-			nextDelayMinutes = delayMinutes;
+	for (const rule of settings.rules) {
+		// Rules with no scheduled run have no cron expressions or one-time runs
+		const nextRunTime = getNextRunTime(rule, now);
+		if (
+			nextRunTime != null &&
+			(nextExecutionTime == null || nextRunTime < nextExecutionTime)
+		) {
+			nextExecutionTime = nextRunTime;
 		}
 	}
 
-	// Only schedule if we have rules with cron expressions
-	if (nextExecutionTime) {
-		// Ensure minimum delay to prevent scheduling issues
-		nextDelayMinutes = Math.max(1, nextDelayMinutes);
-
-		await browser.alarms.clear("moveActionableTabs");
-
+	await browser.alarms.clear("moveActionableTabs");
+	if (nextExecutionTime != null) {
 		await browser.alarms.create("moveActionableTabs", {
-			delayInMinutes: nextDelayMinutes,
+			when: nextExecutionTime,
 		});
-
-		console.log(`Scheduled next move in ${nextDelayMinutes} minutes`);
+		console.log(
+			`Scheduled next move at ${new Date(nextExecutionTime).toISOString()}`,
+		);
 	} else {
-		// No rules with scheduled runs, clear any existing alarm
-		await browser.alarms.clear("moveActionableTabs");
 		console.log("No scheduled runs configured, alarm cleared");
 	}
 }
 
 /**
- * Parse cron expression to get delay in minutes until next execution
- * Uses cron-parser library to handle full cron syntax
- * @param {string} cronSchedule - Cron expression (5 or 6 fields supported)
- * @returns {number|null} Delay in minutes until next cron execution, or null for no scheduled run
+ * Listen for settings changes and reschedule
  */
-function parseCronToNextDelay(cronSchedule) {
-	const DEFAULT_DELAY_MINUTES = 30;
+browser.storage.onChanged.addListener(async (changes, areaName) => {
+	if (areaName === "sync") {
+		const keys = Object.keys(changes);
+		if (changes.queueSync) {
+			if (changes.queueSync.newValue) {
+				await syncQueue();
+			} else {
+				await withdrawQueue();
+			}
+		} else if (keys.some(isQueueSyncKey)) {
+			await unmarkRemotelyUnmarkedTabs();
+		}
+		// Synced queues change with every mark on any device and are no settings
+		if (keys.every(isQueueSyncKey)) return;
 
-	// Handle empty cron expression (no scheduled run)
-	if (!cronSchedule || !cronSchedule.trim()) {
-		return null;
+		if (changes.rules) {
+			await scheduleNextMove();
+		}
+		await createContextMenus();
+		await updateActionableGroups();
 	}
-
-	try {
-		const options = {
-			currentDate: new Date(),
-			strict: false,
-		};
-
-		const interval = CronExpressionParser.parse(cronSchedule, options);
-
-		const nextDate = interval.next().toDate();
-		const now = new Date();
-
-		const delayMs = nextDate.getTime() - now.getTime();
-		const delayMinutes = Math.ceil(delayMs / (1000 * 60));
-
-		const finalDelay = Math.max(1, delayMinutes);
-
-		console.log(
-			`Cron: "${cronSchedule}" - Next execution at ${nextDate.toISOString()} (in ${finalDelay} minutes)`,
+	if (areaName === "local" && TAB_CACHE_KEY in changes) {
+		// The cache changes with every mark, unmark, priority, tag and snooze
+		await updateActionableGroups();
+		await startActiveTimersOfMarkedTabs(
+			changes[TAB_CACHE_KEY].oldValue,
+			changes[TAB_CACHE_KEY].newValue,
 		);
-
-		return finalDelay;
-	} catch (error) {
-		console.error(`Failed to parse cron expression "${cronSchedule}":`, error);
-		console.log(
-			`Falling back to default delay of ${DEFAULT_DELAY_MINUTES} minutes`,
-		);
-		return DEFAULT_DELAY_MINUTES;
+		const settings = await getSettings();
+		if (settings.queueSync ?? DEFAULTS.queueSync) {
+			await scheduleQueuePublish();
+		}
 	}
-}
+});
 
 /**
- * Calculate how many scheduled moves were missed since lastMoveTime
- * @param {string} cronSchedule - Cron expression
- * @param {number} lastMoveTime - Timestamp of last move (milliseconds since epoch)
- * @returns {number} Number of missed moves (0 if none or on error)
+ * Start the active-time countdown of tabs marked while they were already
+ * active, which no tab activation starts
+ * @param {unknown} oldCache - The actionable tab cache before the change
+ * @param {unknown} newCache - The actionable tab cache after the change
  */
-function calculateMissedMoves(cronSchedule, lastMoveTime) {
-	if (!cronSchedule || !cronSchedule.trim()) {
-		return 0;
+async function startActiveTimersOfMarkedTabs(oldCache, newCache) {
+	const oldTabIds = Object.keys(oldCache ?? {});
+	for (const tabId of Object.keys(newCache ?? {})) {
+		if (oldTabIds.includes(tabId)) continue;
+		try {
+			const tab = await browser.tabs.get(Number(tabId));
+			if (tab.active) await startActiveTimer(Number(tabId), undefined);
+		} catch (error) {
+			console.log(`Tab ${tabId} is no longer available:`, String(error));
+		}
 	}
+}
 
-	try {
-		const options = {
-			currentDate: new Date(lastMoveTime),
-			strict: false,
-		};
-
-		const interval = CronExpressionParser.parse(cronSchedule, options);
-		const now = new Date();
-		let missedCount = 0;
-
-		while (true) {
-			const nextDate = interval.next().toDate();
-
-			if (nextDate.getTime() > now.getTime()) {
-				break;
-			}
-
-			missedCount++;
+/**
+ * Start the active-time countdown of the current tab, which was activated
+ * before the extension started
+ */
+async function startActiveTimerOfCurrentTab() {
+	const tab = await getCurrentTab();
+	if (tab) await startActiveTimer(tab.id, undefined);
+}
 
-			if (missedCount > 10000) {
-				console.warn(
-					"Reached maximum iteration limit while calculating missed moves",
-				);
-				break;
-			}
+/**
+ * Unmark the tabs that another device unmarked after they were marked here
+ */
+async function unmarkRemotelyUnmarkedTabs() {
+	for (const tabId of await getRemotelyUnmarkedTabIds()) {
+		try {
+			await setActionableState(tabId, false, true);
+		} catch (error) {
+			console.log(`Tab ${tabId} is no longer available:`, String(error));
 		}
-
-		return missedCount;
-	} catch (error) {
-		console.error(
-			`Failed to calculate missed moves for cron "${cronSchedule}":`,
-			error,
-		);
-		return 0;
 	}
 }
 
 /**
- * Check for missed scheduled moves and execute catch-up by running affected rules
- * Called on browser startup to ensure idempotency across restarts
- * @param {{id: string, cronSchedule: string, lastMoveTime: number | null, queueMode: string, moveDirection: string, moveCount: number, showNotifications: boolean}[]} rules
- * @returns {Promise<{rulesUpdated: boolean, totalMissedMoves: number, updatedRules: any[]}>} Whether rules were updated, total missed moves, and updated rules
+ * Apply the changes other devices made to the synced queue, then share this
+ * device's queue
  */
-async function catchUpMissedRules(rules) {
-	if (!rules || rules.length === 0) {
-		return { rulesUpdated: false, totalMissedMoves: 0, updatedRules: rules };
-	}
-
-	const snoozeActive = await isSnoozeActive();
-	if (snoozeActive) {
-		console.log("Catch-up skipped: snooze is active");
-		return { rulesUpdated: false, totalMissedMoves: 0, updatedRules: rules };
-	}
+async function syncQueue() {
+	await unmarkRemotelyUnmarkedTabs();
+	await publishQueue();
+}
 
-	const rulesToExecute = [];
-	let totalMissedMoves = 0;
+browser.idle.setDetectionInterval(IDLE_DETECTION_SECONDS);
 
-	for (const rule of rules) {
-		if (!rule.lastMoveTime) continue;
+/**
+ * Retry deferred rules when the conditions they wait for may have cleared, and
+ * catch up on runs missed while the system was asleep or locked when it wakes
+ * (the move alarm fires late after waking too; handled runs keep them from
+ * running twice)
+ */
+browser.idle.onStateChanged.addListener(async (state) => {
+	await executeDeferredRules();
+	if (state === "active") {
+		await executeAllRules();
+	}
+});
 
-		const missedMoves = calculateMissedMoves(
-			rule.cronSchedule,
-			rule.lastMoveTime,
-		);
-		if (missedMoves > 0) {
-			console.log(`Rule ${rule.id}: ${missedMoves} missed move(s) detected`);
-			rulesToExecute.push(rule);
-			totalMissedMoves += missedMoves;
-		}
+/**
+ * Pause the active-time countdowns while the browser is in the background, and
+ * resume them and retry deferred rules when it comes back
+ */
+browser.windows.onFocusChanged.addListener(async (windowId) => {
+	if (windowId === browser.windows.WINDOW_ID_NONE) {
+		await pauseActiveTimers();
+		return;
 	}
+	await resumeActiveTimers();
+	await executeDeferredRules();
+});
 
-	if (totalMissedMoves > 0) {
-		console.log(
-			`Found ${totalMissedMoves} missed scheduled move(s) across all rules - executing catch-up`,
-		);
+/**
+ * Answer the catch-up notification, or go to the tab a notification is about.
+ * Clicking runs the rules waiting for an answer, which is the only answer in
+ * browsers without notification buttons.
+ */
+browser.notifications.onClicked.addListener(async (notificationId) => {
+	if (notificationId === CATCH_UP_NOTIFICATION_ID) {
+		await answerPendingCatchUps(true);
+		return;
+	}
 
-		for (const rule of rulesToExecute) {
-			console.log(`Executing catch-up for rule ${rule.id}`);
-			try {
-				await moveActionableTabsForRule({
-					queueMode: rule.queueMode,
-					moveDirection: rule.moveDirection,
-					moveCount: rule.moveCount,
-				});
-			} catch (error) {
-				console.error(`Error executing catch-up for rule ${rule.id}:`, error);
-			}
+	const tabNotification = parseTabNotificationId(notificationId);
+	if (tabNotification) {
+		await browser.notifications.clear(notificationId);
+		try {
+			const tab = await browser.tabs.get(tabNotification.tabId);
+			await focusTab(/** @type {typeof tab & {id: number}} */ (tab));
+		} catch (_err) {
+			// The tab was closed since the notification was shown
 		}
-
-		console.log(
-			`Catch-up complete - brought ${totalMissedMoves} missed move(s) current`,
-		);
-	} else {
-		console.log("No missed moves detected");
 	}
+});
 
-	const now = Date.now();
-	const updatedRules = rules.map((rule) => {
-		if (!rule.lastMoveTime) return rule;
-		const missedMoves = calculateMissedMoves(
-			rule.cronSchedule,
-			rule.lastMoveTime,
-		);
-		return missedMoves > 0 ? { ...rule, lastMoveTime: now } : rule;
-	});
+browser.notifications.onButtonClicked.addListener(
+	async (notificationId, buttonIndex) => {
+		if (notificationId === CATCH_UP_NOTIFICATION_ID) {
+			await answerPendingCatchUps(buttonIndex === 0);
+			return;
+		}
 
-	return { rulesUpdated: totalMissedMoves > 0, totalMissedMoves, updatedRules };
-}
+		const tabNotification = parseTabNotificationId(notificationId);
+		const action = tabNotification?.actions[buttonIndex];
+		if (!tabNotification || !action) return;
 
-/**
- * Listen for settings changes and reschedule
- */
-browser.storage.onChanged.addListener(async (changes, areaName) => {
-	if (areaName === "sync") {
-		if (changes.rules) {
-			await scheduleNextMove();
+		await browser.notifications.clear(notificationId);
+		const { tabId } = tabNotification;
+		try {
+			switch (action) {
+				case "done":
+					await setActionableState(tabId, false);
+					break;
+				case "snooze":
+					await snoozeTab(tabId, Date.now() + NOTIFICATION_SNOOZE_MS);
+					await updateIconForTab(tabId, true);
+					break;
+			}
+		} catch (error) {
+			console.error(`Error running notification action ${action}:`, error);
 		}
-		await createContextMenus();
-	}
-});
+	},
+);
 
 /**
  * Handle alarm events - move actionable tabs and reschedule next execution
@@ -656,6 +1619,41 @@ browser.alarms.onAlarm.addListener(async (alarm) => {
 	if (alarm.name === "moveActionableTabs") {
 		await executeAllRules();
 		await scheduleNextMove();
+		return;
+	}
+
+	if (alarm.name === SNOOZE_CHANGE_ALARM) {
+		await createContextMenus();
+		await updateActionableGroups();
+		return;
+	}
+
+	if (alarm.name === DEFERRED_RULES_ALARM) {
+		await executeDeferredRules();
+		return;
+	}
+
+	if (alarm.name === QUEUE_SYNC_ALARM) {
+		await publishQueue();
+		return;
+	}
+
+	const dueTabId = getTabIdFromDueAlarm(alarm.name);
+	if (dueTabId != null) {
+		await handleDueAlarm(dueTabId);
+		return;
+	}
+
+	const snoozedTabId = getTabIdFromTabSnoozeAlarm(alarm.name);
+	if (snoozedTabId != null) {
+		await handleTabSnoozeAlarm(snoozedTabId);
+		await updateIconForTab(snoozedTabId);
+		return;
+	}
+
+	const activeTabId = getTabIdFromActiveAlarm(alarm.name);
+	if (activeTabId != null && (await handleActiveAlarm(activeTabId))) {
+		await updateIconForTab(activeTabId, false);
 	}
 });
 
@@ -680,6 +1678,231 @@ browser.runtime.onMessage.addListener((message, _sender, sendResponse) => {
 				return { success: false };
 			}
 		}
+		if (action === "setDueTime" && "tabId" in message) {
+			const { tabId, dueAt } = /** @type {{tabId: number, dueAt?: number}} */ (
+				message
+			);
+			try {
+				await setTabDueTime(tabId, dueAt ?? null);
+				await updateIconForTab(tabId);
+				return { success: true };
+			} catch (error) {
+				console.error(`Error setting due time for tab ${tabId}:`, error);
+				return { success: false };
+			}
+		}
+		if (
+			action === "setActionableState" &&
+			"tabId" in message &&
+			"actionable" in message
+		) {
+			const { tabId, actionable } =
+				/** @type {{tabId: number, actionable: boolean}} */ (message);
+			try {
+				await setActionableState(tabId, actionable);
+				return { success: true };
+			} catch (error) {
+				console.error(
+					`Error updating actionable state of tab ${tabId}:`,
+					error,
+				);
+				return { success: false };
+			}
+		}
+		if (
+			action === "snoozeTab" &&
+			"tabId" in message &&
+			"snoozedUntil" in message
+		) {
+			const { tabId, snoozedUntil } =
+				/** @type {{tabId: number, snoozedUntil: number}} */ (message);
+			try {
+				await snoozeTab(tabId, snoozedUntil);
+				await updateIconForTab(tabId, true);
+				return { success: true };
+			} catch (error) {
+				console.error(`Error snoozing tab ${tabId}:`, error);
+				return { success: false };
+			}
+		}
+		if (action === "unsnoozeTab" && "tabId" in message) {
+			const { tabId } = /** @type {{tabId: number}} */ (message);
+			try {
+				await unsnoozeTab(tabId, false);
+				await updateIconForTab(tabId, true);
+				return { success: true };
+			} catch (error) {
+				console.error(`Error waking snoozed tab ${tabId}:`, error);
+				return { success: false };
+			}
+		}
+		if (action === "skipTab" && "tabId" in message) {
+			const { tabId, moveDirection } =
+				/** @type {{tabId: number, moveDirection?: import("./storage").Rule["moveDirection"]}} */ (
+					message
+				);
+			try {
+				await skipTab(tabId, await getManualMoveDirection(moveDirection));
+				return { success: true };
+			} catch (error) {
+				console.error(`Error skipping tab ${tabId}:`, error);
+				return { success: false };
+			}
+		}
+		if (action === "pullTab" && "tabId" in message) {
+			const { tabId, moveDirection } =
+				/** @type {{tabId: number, moveDirection?: import("./storage").Rule["moveDirection"]}} */ (
+					message
+				);
+			try {
+				const tab = await browser.tabs.get(tabId);
+				const didMove = await pullTab(
+					/** @type {typeof tab & {id: number}} */ (tab),
+					await getManualMoveDirection(moveDirection),
+				);
+				if (didMove) {
+					await recordHistoryEvent({
+						type: "pull",
+						at: Date.now(),
+						url: tab.url,
+						title: tab.title,
+						manual: true,
+						count: 1,
+					});
+				}
+				return { success: true, didMove };
+			} catch (error) {
+				console.error(`Error pulling tab ${tabId}:`, error);
+				return { success: false };
+			}
+		}
+		if (
+			action === "setPriority" &&
+			"tabId" in message &&
+			"priority" in message
+		) {
+			const { tabId, priority } =
+				/** @type {{tabId: number, priority: import("./storage").Priority}} */ (
+					message
+				);
+			try {
+				await setTabPriority(tabId, priority);
+				await updateIconForTab(tabId, true);
+				await updateTabMenus(tabId);
+				return { success: true };
+			} catch (error) {
+				console.error(`Error setting priority of tab ${tabId}:`, error);
+				return { success: false };
+			}
+		}
+		if (action === "setTags" && "tabId" in message && "tags" in message) {
+			const { tabId, tags } = /** @type {{tabId: number, tags: string[]}} */ (
+				message
+			);
+			try {
+				await setTabTags(tabId, tags);
+				await updateIconForTab(tabId, true);
+				await updateTabMenus(tabId);
+				return { success: true };
+			} catch (error) {
+				console.error(`Error setting tags of tab ${tabId}:`, error);
+				return { success: false };
+			}
+		}
+		if (
+			action === "importActionableTabs" &&
+			"tabs" in message &&
+			"reopenMissing" in message
+		) {
+			const { tabs, reopenMissing } =
+				/** @type {{tabs: import("./backup").BackupTab[], reopenMissing: boolean}} */ (
+					message
+				);
+			try {
+				const counts = await importActionableTabs(tabs, reopenMissing);
+				return { success: true, ...counts };
+			} catch (error) {
+				console.error("Error importing actionable tabs:", error);
+				return { success: false };
+			}
+		}
+		if (action === "openRemoteTab" && "url" in message && "item" in message) {
+			const { url, item } =
+				/** @type {{url: string, item: import("./storage").SyncedQueueItem}} */ (
+					message
+				);
+			try {
+				const { title, ...data } = item;
+				const counts = await importActionableTabs([{ url, title, data }], true);
+				return { success: true, ...counts };
+			} catch (error) {
+				console.error(`Error opening synced tab ${url}:`, error);
+				return { success: false };
+			}
+		}
+		if (action === "reopenClosedTab" && "tab" in message) {
+			const { tab } =
+				/** @type {{tab: import("./storage").ClosedActionableTab}} */ (message);
+			try {
+				// A reopened tab is wanted now, so it doesn't stay snoozed
+				const { snoozedUntil: _snoozedUntil, ...data } = tab.data;
+				const counts = await importActionableTabs(
+					[{ url: tab.url, title: tab.title, data }],
+					true,
+				);
+				await forgetRecentlyClosedTab(tab.closedAt, tab.url);
+				return { success: true, ...counts };
+			} catch (error) {
+				console.error(`Error reopening closed tab ${tab.url}:`, error);
+				return { success: false };
+			}
+		}
+		if (
+			action === "swapQueuePosition" &&
+			"tabId" in message &&
+			"otherTabId" in message
+		) {
+			const { tabId, otherTabId } =
+				/** @type {{tabId: number, otherTabId: number}} */ (message);
+			try {
+				await swapQueuePosition(tabId, otherTabId);
+				return { success: true };
+			} catch (error) {
+				console.error(`Error reordering tabs ${tabId}, ${otherTabId}:`, error);
+				return { success: false };
+			}
+		}
+		if (action === "setSelectedTabsState" && "actionable" in message) {
+			const { actionable } = /** @type {{actionable: boolean}} */ (message);
+			try {
+				await setSelectedTabsState(await getSelectedTabIds(), actionable);
+				return { success: true };
+			} catch (error) {
+				console.error(
+					"Error updating actionable state of selected tabs:",
+					error,
+				);
+				return { success: false };
+			}
+		}
+		if (action === "pullSelectedTabs") {
+			try {
+				await pullSelectedTabs(await getSelectedTabIds());
+				return { success: true };
+			} catch (error) {
+				console.error("Error pulling selected tabs:", error);
+				return { success: false };
+			}
+		}
+		if (action === "moveSelectedTabsToNewWindow") {
+			try {
+				await moveTabsToNewWindow(await getSelectedTabIds());
+				return { success: true };
+			} catch (error) {
+				console.error("Error moving selected tabs to a new window:", error);
+				return { success: false };
+			}
+		}
 	})().then((r) => sendResponse(r));
 	return true;
 });
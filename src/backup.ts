@@ -0,0 +1,139 @@
+/// <reference types="./ambient.d.ts" />
+
+import {
+	type ActionableData,
+	isQueueSyncKey,
+	type Rule,
+	type Settings,
+} from "./storage";
+import { getActionableTabsSorted } from "./tab.js";
+
+if (typeof browser === "undefined") globalThis.browser = chrome;
+
+const BACKUP_FORMAT = "actionable-tabs-backup";
+
+/**
+ * Version of the backup file format, bumped whenever the shape changes
+ */
+const BACKUP_VERSION = 1;
+
+export type BackupTab = {
+	url: string;
+	title: string;
+	data: ActionableData;
+};
+
+type Backup = {
+	format: typeof BACKUP_FORMAT;
+	version: typeof BACKUP_VERSION;
+	/** ISO timestamp of the export */
+	exportedAt: string;
+	/** Raw storage.sync contents, migrated through getSettings on import */
+	settings: Partial<Settings> & Record<string, unknown>;
+	tabs: BackupTab[];
+};
+
+/**
+ * Collect the synced settings and all actionable tabs into a backup
+ */
+export async function createBackup(): Promise<Backup> {
+	// Synced queues belong to the devices, and their tabs are exported below
+	const settings = Object.fromEntries(
+		Object.entries(await browser.storage.sync.get()).filter(
+			([key]) => !isQueueSyncKey(key),
+		),
+	);
+	const actionableTabs = await getActionableTabsSorted(
+		"oldest",
+		undefined,
+		undefined,
+		true,
+	);
+
+	return {
+		format: BACKUP_FORMAT,
+		version: BACKUP_VERSION,
+		exportedAt: new Date().toISOString(),
+		settings,
+		tabs: actionableTabs
+			.filter(({ tab }) => tab.url)
+			.map(({ tab, data }) => ({
+				url: tab.url ?? "",
+				title: tab.title ?? "",
+				data,
+			})),
+	};
+}
+
+/**
+ * Parse and validate the contents of a backup file
+ * @throws {Error} If the file is not a backup this version can read
+ */
+export function parseBackup(text: string): Backup {
+	let backup: unknown;
+	try {
+		backup = JSON.parse(text);
+	} catch (_err) {
+		throw new Error("The file is not valid JSON");
+	}
+
+	if (
+		typeof backup !== "object" ||
+		backup == null ||
+		!("format" in backup) ||
+		backup.format !== BACKUP_FORMAT
+	) {
+		throw new Error("The file is not an Actionable Tabs backup");
+	}
+	if (!("version" in backup) || backup.version !== BACKUP_VERSION) {
+		throw new Error(
+			`Unsupported backup version ${"version" in backup ? backup.version : "(missing)"}`,
+		);
+	}
+	if (
+		!("settings" in backup) ||
+		typeof backup.settings !== "object" ||
+		backup.settings == null ||
+		!("tabs" in backup) ||
+		!Array.isArray(backup.tabs)
+	) {
+		throw new Error("The backup is missing settings or tabs");
+	}
+
+	return {
+		...(backup as Backup),
+		tabs: (backup.tabs as unknown[]).filter(
+			(tab): tab is BackupTab =>
+				typeof tab === "object" &&
+				tab != null &&
+				"url" in tab &&
+				typeof tab.url === "string" &&
+				"data" in tab &&
+				typeof tab.data === "object" &&
+				tab.data != null &&
+				"markedAt" in tab.data &&
+				typeof tab.data.markedAt === "number",
+		),
+	};
+}
+
+/**
+ * Get the settings to store from a backup. Schedule state is reset so the
+ * imported rules start fresh instead of catching up on another profile's runs.
+ */
+export function getSettingsToImport(
+	backup: Backup,
+): Partial<Settings> & Record<string, unknown> {
+	const {
+		snoozeUntil: _snoozeUntil,
+		ruleSnoozes: _ruleSnoozes,
+		...settings
+	} = backup.settings;
+	if (Array.isArray(settings.rules)) {
+		settings.rules = settings.rules.map((rule: Rule) => ({
+			...rule,
+			lastMoveTime: null,
+		}));
+	}
+	return settings;
+}
@@ -0,0 +1,109 @@
+/// <reference types="./ambient.d.ts" />
+
+import { recordHistoryEvent } from "./history.js";
+
+if (typeof browser === "undefined") globalThis.browser = chrome;
+
+/**
+ * storage.local key mapping the IDs of rules whose missed runs wait for the
+ * user's answer to the number of runs missed
+ */
+const PENDING_CATCH_UPS_KEY = "pendingCatchUps";
+
+/** Notification summarizing missed runs, which answers pending asks */
+export const CATCH_UP_NOTIFICATION_ID = "catch-up";
+
+/** Outcome of missed runs of rules that ask before catching up */
+export const ASKING_OUTCOME = "waiting for your answer";
+
+/**
+ * Get the rules waiting for an answer about their missed runs, and how many
+ * runs each missed
+ * @returns {Promise<Record<string, number>>}
+ */
+export async function getPendingCatchUps() {
+	const { [PENDING_CATCH_UPS_KEY]: pendingCatchUps = {} } =
+		await browser.storage.local.get(PENDING_CATCH_UPS_KEY);
+	return /** @type {Record<string, number>} */ (pendingCatchUps);
+}
+
+/**
+ * @param {Record<string, number>} pendingCatchUps
+ */
+export async function setPendingCatchUps(pendingCatchUps) {
+	await browser.storage.local.set({ [PENDING_CATCH_UPS_KEY]: pendingCatchUps });
+}
+
+/**
+ * @typedef {object} CatchUp
+ * @property {import("./storage").Rule} rule
+ * @property {number} missedRuns
+ * @property {string} outcome What happened to the missed runs, e.g. "ran once"
+ * @property {number} [moved] Number of tabs moved
+ */
+
+/**
+ * Record what happened to missed runs in the history, and summarize the ones
+ * worth telling in a single notification: rules with notifications that
+ * pulled tabs, and rules that ask first. Rules that ask first are remembered
+ * until the user answers through the notification.
+ * @param {CatchUp[]} catchUps
+ * @param {import("./storage").Rule[]} rules
+ */
+export async function reportCatchUps(catchUps, rules) {
+	const now = Date.now();
+	const pendingCatchUps = await getPendingCatchUps();
+	for (const { rule, missedRuns, outcome, moved } of catchUps) {
+		await recordHistoryEvent({
+			type: "catch-up",
+			at: now,
+			ruleId: rule.id,
+			count: moved ?? 0,
+			detail: `${missedRuns} missed run(s), ${outcome}`,
+		});
+		if (outcome === ASKING_OUTCOME) pendingCatchUps[rule.id] = missedRuns;
+	}
+	await setPendingCatchUps(pendingCatchUps);
+
+	const notifiedCatchUps = catchUps.filter(
+		({ rule, outcome, moved }) =>
+			outcome === ASKING_OUTCOME ||
+			(rule.showNotifications && (moved ?? 0) > 0),
+	);
+	if (notifiedCatchUps.length === 0) return;
+
+	const lines = notifiedCatchUps.map(({ rule, missedRuns, outcome, moved }) => {
+		const ruleName = `Rule ${rules.findIndex((r) => r.id === rule.id) + 1}`;
+		const pulled = moved ? `, pulled ${moved} tab(s)` : "";
+		return `${ruleName}: ${missedRuns} missed run(s), ${outcome}${pulled}`;
+	});
+	/** @type {import('webextension-polyfill').Notifications.CreateNotificationOptions} */
+	const options = {
+		type: "basic",
+		iconUrl: "icons/icon-on-48.png",
+		title: "Actionable Tabs: missed runs",
+		message: lines.join("\n"),
+	};
+
+	await browser.notifications.clear(CATCH_UP_NOTIFICATION_ID);
+	if (Object.keys(pendingCatchUps).length === 0) {
+		await browser.notifications.create(CATCH_UP_NOTIFICATION_ID, options);
+		return;
+	}
+	try {
+		// Buttons aren't in the polyfill types, since Firefox rejects them
+		await browser.notifications.create(
+			CATCH_UP_NOTIFICATION_ID,
+			/** @type {typeof options} */ ({
+				...options,
+				buttons: [{ title: "Run them now" }, { title: "Skip them" }],
+			}),
+		);
+	} catch (_err) {
+		// Without notification buttons, clicking answers instead
+		await browser.notifications.create(CATCH_UP_NOTIFICATION_ID, {
+			...options,
+			message: `${options.message}\nClick to run the waiting rules now`,
+		});
+	}
+}
@@ -0,0 +1,211 @@
+/// <reference types="./ambient.d.ts" />
+
+import { clearDueAlarm } from "./due.js";
+import { recordHistoryEvent } from "./history.js";
+import { matchesUrlPattern } from "./patterns.js";
+import { DEFAULTS, getSettings } from "./storage.js";
+import {
+	cacheActionableTab,
+	getActionableData,
+	removeActionableData,
+	takeClosedActionableTab,
+} from "./tab.js";
+
+if (typeof browser === "undefined") globalThis.browser = chrome;
+
+const ACTIVE_ALARM_PREFIX = "complete-active_";
+/** storage.session key of the time left on active-time alarms paused while no window has focus */
+const PAUSED_ACTIVE_TIMERS_KEY = "pausedActiveTimers";
+
+/**
+ * Get the enabled completion rules of a given type
+ * @param {import("./storage").CompletionRule["type"]} type
+ * @returns {Promise<import("./storage").CompletionRule[]>}
+ */
+async function getEnabledCompletionRules(type) {
+	const settings = await getSettings();
+	return (settings.completionRules ?? DEFAULTS.completionRules).filter(
+		(rule) => rule.enabled && rule.type === type,
+	);
+}
+
+/**
+ * Unmark a still-open tab whose task is done, recording it as completed
+ * @param {import('webextension-polyfill').Tabs.Tab & {id: number}} tab
+ * @param {string} reason
+ */
+async function completeTab(tab, reason) {
+	await removeActionableData(tab.id, reason);
+	await clearDueAlarm(tab.id);
+	await browser.alarms.clear(`${ACTIVE_ALARM_PREFIX}${tab.id}`);
+	console.log(`Tab ${tab.id} (${tab.title}) completed: ${reason}`);
+}
+
+/**
+ * Check URL and title completion rules when an actionable tab changes
+ * @param {import('webextension-polyfill').Tabs.Tab & {id: number}} tab - The updated tab
+ * @param {{url?: string, title?: string}} changeInfo - The properties that changed
+ * @returns {Promise<boolean>} Whether the tab was completed
+ */
+export async function checkCompletionOnUpdate(tab, changeInfo) {
+	if (!changeInfo.url && !changeInfo.title) return false;
+
+	const data = await getActionableData(tab.id);
+	if (!data) return false;
+
+	if (changeInfo.url) {
+		const { url } = changeInfo;
+		const rule = (await getEnabledCompletionRules("url")).find(
+			(r) =>
+				r.pattern && matchesUrlPattern(url, r.pattern, r.patternType ?? "glob"),
+		);
+		if (rule) {
+			await completeTab(tab, `URL matched ${rule.pattern}`);
+			return true;
+		}
+	}
+
+	if (changeInfo.title) {
+		const title = changeInfo.title.toLocaleLowerCase();
+		const rule = (await getEnabledCompletionRules("title")).find(
+			(r) => r.pattern && title.includes(r.pattern.toLocaleLowerCase()),
+		);
+		if (rule) {
+			await completeTab(tab, `Title contains "${rule.pattern}"`);
+			return true;
+		}
+	}
+
+	// Keep the durable copy current, for the "closed" rule and reopening
+	await cacheActionableTab(tab, data);
+	return false;
+}
+
+/**
+ * Start the active-time countdown for a newly activated actionable tab and
+ * stop the one of the tab that was active before
+ * @param {number} tabId
+ * @param {number | undefined} previousTabId
+ */
+export async function startActiveTimer(tabId, previousTabId) {
+	if (previousTabId != null) {
+		await browser.alarms.clear(`${ACTIVE_ALARM_PREFIX}${previousTabId}`);
+	}
+
+	const rules = await getEnabledCompletionRules("active");
+	const minutes = Math.min(...rules.map((r) => r.minutes ?? Infinity));
+	if (!Number.isFinite(minutes) || !(await getActionableData(tabId))) return;
+
+	await browser.alarms.create(`${ACTIVE_ALARM_PREFIX}${tabId}`, {
+		delayInMinutes: Math.max(1, minutes),
+	});
+}
+
+/**
+ * Pause the active-time countdowns while no browser window has focus, as the
+ * active tabs aren't being looked at
+ */
+export async function pauseActiveTimers() {
+	const alarms = (await browser.alarms.getAll()).filter((alarm) =>
+		alarm.name.startsWith(ACTIVE_ALARM_PREFIX),
+	);
+	if (alarms.length === 0) return;
+
+	const { [PAUSED_ACTIVE_TIMERS_KEY]: stored } =
+		await browser.storage.session.get(PAUSED_ACTIVE_TIMERS_KEY);
+	const paused = /** @type {Record<string, number>} */ (stored ?? {});
+	const now = Date.now();
+	for (const alarm of alarms) {
+		paused[alarm.name] = Math.max(0, alarm.scheduledTime - now);
+	}
+	await browser.storage.session.set({ [PAUSED_ACTIVE_TIMERS_KEY]: paused });
+	await Promise.all(alarms.map((alarm) => browser.alarms.clear(alarm.name)));
+}
+
+/**
+ * Resume the paused active-time countdowns of tabs that are still active and
+ * actionable, with the time they had left
+ */
+export async function resumeActiveTimers() {
+	const { [PAUSED_ACTIVE_TIMERS_KEY]: paused } =
+		await browser.storage.session.get(PAUSED_ACTIVE_TIMERS_KEY);
+	if (!paused) return;
+	await browser.storage.session.remove(PAUSED_ACTIVE_TIMERS_KEY);
+
+	for (const [alarmName, remainingMs] of Object.entries(
+		/** @type {Record<string, number>} */ (paused),
+	)) {
+		const tabId = getTabIdFromActiveAlarm(alarmName);
+		if (tabId == null) continue;
+		try {
+			const tab = await browser.tabs.get(tabId);
+			if (!tab.active || !(await getActionableData(tabId))) continue;
+			await browser.alarms.create(alarmName, {
+				when: Date.now() + remainingMs,
+			});
+		} catch (error) {
+			console.log(`Active tab ${tabId} is no longer available:`, String(error));
+		}
+	}
+}
+
+/**
+ * Get the tab ID encoded in an active-time alarm name
+ * @param {string} alarmName
+ * @returns {number | null} Tab ID, or null if the alarm is not an active-time alarm
+ */
+export function getTabIdFromActiveAlarm(alarmName) {
+	if (!alarmName.startsWith(ACTIVE_ALARM_PREFIX)) return null;
+	const tabId = Number(alarmName.slice(ACTIVE_ALARM_PREFIX.length));
+	return Number.isInteger(tabId) ? tabId : null;
+}
+
+/**
+ * Complete a tab that has stayed active until its active-time alarm fired
+ * @param {number} tabId
+ * @returns {Promise<boolean>} Whether the tab was completed
+ */
+export async function handleActiveAlarm(tabId) {
+	try {
+		const tab = await browser.tabs.get(tabId);
+		const data = await getActionableData(tabId);
+		if (!tab.active || !data) return false;
+
+		const rules = await getEnabledCompletionRules("active");
+		const minutes = Math.min(...rules.map((r) => r.minutes ?? Infinity));
+		if (!Number.isFinite(minutes)) return false;
+
+		await completeTab(
+			/** @type {typeof tab & {id: number}} */ (tab),
+			`Active for ${minutes} minute(s)`,
+		);
+		return true;
+	} catch (error) {
+		console.log(`Active tab ${tabId} is no longer available:`, String(error));
+		return false;
+	}
+}
+
+/**
+ * Keep a closed actionable tab for reopening, and record it as completed when
+ * a "closed" rule is enabled
+ * @param {number} tabId
+ */
+export async function handleTabClosed(tabId) {
+	await browser.alarms.clear(`${ACTIVE_ALARM_PREFIX}${tabId}`);
+	const cached = await takeClosedActionableTab(tabId);
+	if (!cached) return;
+
+	const rules = await getEnabledCompletionRules("closed");
+	if (rules.length === 0) return;
+
+	await recordHistoryEvent({
+		type: "complete",
+		at: Date.now(),
+		url: cached.url,
+		title: cached.title,
+		markedAt: cached.data.markedAt,
+		detail: "Closed",
+	});
+	console.log(`Closed tab ${tabId} (${cached.title}) recorded as completed`);
+}
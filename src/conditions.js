@@ -0,0 +1,91 @@
+/// <reference types="./ambient.d.ts" />
+
+if (typeof browser === "undefined") globalThis.browser = chrome;
+
+/** storage.local key mapping deferred rule IDs to the condition they wait for */
+export const DEFERRED_RULES_KEY = "deferredRules";
+
+/** Alarm that retries deferred rules while any are waiting */
+export const DEFERRED_RULES_ALARM = "retryDeferredRules";
+
+/**
+ * Keyboard or mouse input within this many seconds counts as using the
+ * browser. 15 is the smallest interval the idle API accepts.
+ */
+const IN_USE_DETECTION_SECONDS = 15;
+
+/** Seconds without input before the system counts as idle */
+export const IDLE_DETECTION_SECONDS = 60;
+
+/**
+ * Check whether a browser window has focus
+ * @returns {Promise<boolean>}
+ */
+async function isBrowserFocused() {
+	try {
+		const focusedWindow = await browser.windows.getLastFocused(
+			// The polyfill types only know windowTypes for getAll
+			/** @type {import('webextension-polyfill').Windows.GetAllGetInfoType} */ ({
+				windowTypes: ["normal"],
+			}),
+		);
+		return focusedWindow.focused;
+	} catch (_err) {
+		return false;
+	}
+}
+
+/**
+ * Find the first condition of a rule that currently isn't met
+ * @param {import("./storage").Rule} rule
+ * @returns {Promise<string | null>} Description of the unmet condition, or null if the rule may run
+ */
+export async function getUnmetCondition(rule) {
+	if (rule.requireFocusedWindow && !(await isBrowserFocused())) {
+		return "No browser window is focused";
+	}
+
+	if (
+		rule.deferWhileInUse &&
+		(await isBrowserFocused()) &&
+		(await browser.idle.queryState(IN_USE_DETECTION_SECONDS)) === "active"
+	) {
+		return "You are using the browser";
+	}
+
+	if (rule.idleCondition) {
+		const state = await browser.idle.queryState(IDLE_DETECTION_SECONDS);
+		if (rule.idleCondition === "active" && state !== "active") {
+			return "The system is idle";
+		}
+		if (rule.idleCondition === "idle" && state === "active") {
+			return "The system is in use";
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Get the deferred rules and the condition each is waiting for
+ * @returns {Promise<Record<string, string>>}
+ */
+export async function getDeferredRules() {
+	const { [DEFERRED_RULES_KEY]: deferredRules = {} } =
+		await browser.storage.local.get(DEFERRED_RULES_KEY);
+	return /** @type {Record<string, string>} */ (deferredRules);
+}
+
+/**
+ * Replace the deferred rules, retrying them every minute while any are waiting
+ * @param {Record<string, string>} deferredRules
+ */
+export async function setDeferredRules(deferredRules) {
+	await browser.storage.local.set({ [DEFERRED_RULES_KEY]: deferredRules });
+
+	if (Object.keys(deferredRules).length === 0) {
+		await browser.alarms.clear(DEFERRED_RULES_ALARM);
+	} else if (!(await browser.alarms.get(DEFERRED_RULES_ALARM))) {
+		await browser.alarms.create(DEFERRED_RULES_ALARM, { periodInMinutes: 1 });
+	}
+}
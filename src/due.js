@@ -0,0 +1,218 @@
+/// <reference types="./ambient.d.ts" />
+
+import { recordHistoryEvent } from "./history.js";
+import {
+	createTabNotification,
+	NOTIFICATION_ACTIONS,
+} from "./notifications.js";
+import { DEFAULTS, getSettings } from "./storage.js";
+import { getActionableData, pullTab, setActionableData } from "./tab.js";
+
+if (typeof browser === "undefined") globalThis.browser = chrome;
+
+const DUE_ALARM_PREFIX = "due_";
+
+/**
+ * Preset due times offered in menus, in display order
+ */
+export const DUE_PRESETS = [
+	{ id: "1h", title: "In 1 hour" },
+	{ id: "2h", title: "In 2 hours" },
+	{ id: "4h", title: "In 4 hours" },
+	{ id: "tomorrow-9", title: "Tomorrow 9:00" },
+	{ id: "monday-9", title: "Next Monday 9:00" },
+];
+
+/**
+ * Resolve a due preset to an absolute time
+ * @param {string} preset - One of the DUE_PRESETS ids
+ * @param {Date} [now] - Reference time
+ * @returns {number | null} Epoch ms of the due time, or null for an unknown preset
+ */
+export function getDueTimeForPreset(preset, now = new Date()) {
+	switch (preset) {
+		case "1h":
+			return now.getTime() + 60 * 60_000;
+		case "2h":
+			return now.getTime() + 2 * 60 * 60_000;
+		case "4h":
+			return now.getTime() + 4 * 60 * 60_000;
+		case "tomorrow-9": {
+			const due = new Date(now);
+			due.setDate(due.getDate() + 1);
+			due.setHours(9, 0, 0, 0);
+			return due.getTime();
+		}
+		case "monday-9": {
+			const due = new Date(now);
+			// Always the coming Monday, a full week ahead when today is Monday
+			due.setDate(due.getDate() + ((8 - due.getDay()) % 7 || 7));
+			due.setHours(9, 0, 0, 0);
+			return due.getTime();
+		}
+		default:
+			return null;
+	}
+}
+
+/**
+ * Get the tab ID encoded in a due alarm name
+ * @param {string} alarmName
+ * @returns {number | null} Tab ID, or null if the alarm is not a due alarm
+ */
+export function getTabIdFromDueAlarm(alarmName) {
+	if (!alarmName.startsWith(DUE_ALARM_PREFIX)) return null;
+	const tabId = Number(alarmName.slice(DUE_ALARM_PREFIX.length));
+	return Number.isInteger(tabId) ? tabId : null;
+}
+
+/**
+ * Clear the due alarm for a tab, if any
+ * @param {number} tabId
+ */
+export async function clearDueAlarm(tabId) {
+	await browser.alarms.clear(`${DUE_ALARM_PREFIX}${tabId}`);
+}
+
+/**
+ * Set or clear the due time of a tab, marking it as actionable if needed
+ * @param {number} tabId
+ * @param {number | null} dueAt - Epoch ms of the due time, or null to clear it
+ */
+export async function setTabDueTime(tabId, dueAt) {
+	const data = (await getActionableData(tabId)) ?? { markedAt: Date.now() };
+
+	if (dueAt == null) {
+		const { dueAt: _removed, ...rest } = data;
+		await setActionableData(tabId, rest);
+		await clearDueAlarm(tabId);
+		console.log(`Cleared due time for tab ${tabId}`);
+		return;
+	}
+
+	await setActionableData(tabId, { ...data, dueAt });
+	await browser.alarms.create(`${DUE_ALARM_PREFIX}${tabId}`, { when: dueAt });
+	console.log(
+		`Tab ${tabId} due at ${new Date(dueAt).toISOString()} (marked actionable)`,
+	);
+}
+
+/**
+ * Pull tabs whose due time has arrived and notify about them
+ * The due time is removed so the tab stays actionable but is not pulled again
+ * @param {(import('webextension-polyfill').Tabs.Tab & {id: number})[]} tabs
+ * @returns {Promise<number>} Number of tabs pulled
+ */
+async function pullDueTabs(tabs) {
+	const pulledTabs = [];
+	for (const tab of tabs) {
+		const data = await getActionableData(tab.id);
+		if (!data?.dueAt) continue;
+
+		const { dueAt: _removed, ...rest } = data;
+		await setActionableData(tab.id, rest);
+		await pullTab(tab, "left");
+		await recordHistoryEvent({
+			type: "pull",
+			at: Date.now(),
+			url: tab.url,
+			title: tab.title,
+			count: 1,
+			detail: "Due",
+		});
+		pulledTabs.push(tab);
+	}
+
+	if (pulledTabs.length === 0) return 0;
+
+	const settings = await getSettings();
+	if (settings.dueNotifications ?? DEFAULTS.dueNotifications) {
+		if (pulledTabs.length === 1) {
+			await createTabNotification(
+				pulledTabs[0].id,
+				`"${pulledTabs[0].title}" is due`,
+				{ actions: NOTIFICATION_ACTIONS },
+			);
+		} else {
+			await createTabNotification(
+				pulledTabs[0].id,
+				`${pulledTabs.length} actionable tabs are due`,
+			);
+		}
+	}
+
+	return pulledTabs.length;
+}
+
+/**
+ * Handle a due alarm firing for a tab
+ * @param {number} tabId
+ */
+export async function handleDueAlarm(tabId) {
+	/** @type {import('webextension-polyfill').Tabs.Tab & {id: number}} */
+	let tab;
+	try {
+		tab = /** @type {typeof tab} */ (await browser.tabs.get(tabId));
+	} catch (error) {
+		console.log(`Due tab ${tabId} is no longer available:`, String(error));
+		return;
+	}
+
+	try {
+		const data = await getActionableData(tabId);
+		if (!data?.dueAt) return;
+
+		// Reschedule alarms that fired early or were left over from an older due time
+		if (data.dueAt > Date.now() + 1000) {
+			await browser.alarms.create(`${DUE_ALARM_PREFIX}${tabId}`, {
+				when: data.dueAt,
+			});
+			return;
+		}
+
+		await pullDueTabs([tab]);
+	} catch (error) {
+		console.error(`Error handling the due alarm of tab ${tabId}:`, error);
+	}
+}
+
+/**
+ * Recreate due alarms from the tabs' session values and pull tabs that became
+ * due while the browser was closed. Tab IDs change across restarts, so alarms
+ * from a previous session are discarded first.
+ * @returns {Promise<number>} Number of overdue tabs pulled
+ */
+export async function reconcileDueAlarms() {
+	const alarms = await browser.alarms.getAll();
+	for (const alarm of alarms) {
+		if (alarm.name.startsWith(DUE_ALARM_PREFIX)) {
+			await browser.alarms.clear(alarm.name);
+		}
+	}
+
+	const allTabs = await browser.tabs.query({});
+	const overdueTabs = [];
+	const now = Date.now();
+
+	for (const tab of allTabs) {
+		if (tab.id == null) continue;
+		const data = await getActionableData(tab.id);
+		if (!data?.dueAt) continue;
+
+		if (data.dueAt <= now) {
+			overdueTabs.push(/** @type {typeof tab & {id: number}} */ (tab));
+		} else {
+			await browser.alarms.create(`${DUE_ALARM_PREFIX}${tab.id}`, {
+				when: data.dueAt,
+			});
+		}
+	}
+
+	const pulledCount = await pullDueTabs(overdueTabs);
+	console.log(
+		pulledCount > 0
+			? `Pulled ${pulledCount} overdue tab(s) on startup`
+			: "No overdue tabs detected",
+	);
+	return pulledCount;
+}
@@ -0,0 +1,364 @@
+/// <reference types="./ambient.d.ts" />
+
+import { useSignal } from "@preact/signals";
+import { useEffect } from "preact/hooks";
+import { Countdown, formatCountdown } from "./countdown";
+import type { Rule } from "./storage";
+
+if (typeof browser === "undefined") globalThis.browser = chrome;
+
+export type HistoryEvent = {
+	/**
+	 * "complete" = unmarked by a completion rule, "pull" = tabs moved by a rule
+	 * or by hand, "catch-up" = what happened to runs missed while the browser
+	 * was closed or the system asleep
+	 */
+	type: "mark" | "unmark" | "complete" | "pull" | "snooze" | "catch-up";
+	/** Epoch ms when the event happened */
+	at: number;
+	url?: string;
+	title?: string;
+	/** When the tab was marked, for "unmark" and "complete" events */
+	markedAt?: number;
+	/** Rule that moved tabs, for "pull" and "catch-up" events */
+	ruleId?: string;
+	/** Whether a "pull" was started by hand rather than on schedule */
+	manual?: boolean;
+	/** Number of tabs moved, for "pull" and "catch-up" events */
+	count?: number;
+	detail?: string;
+};
+
+/** storage.local key holding the history, oldest event first */
+export const HISTORY_KEY = "history";
+
+const MAX_HISTORY_EVENTS = 5000;
+const MAX_HISTORY_AGE_MS = 90 * 24 * 60 * 60_000;
+
+/** Serializes read-modify-write updates of the history */
+let historyUpdate: Promise<unknown> = Promise.resolve();
+
+export async function getHistory(): Promise<HistoryEvent[]> {
+	const { [HISTORY_KEY]: history = [] } =
+		await browser.storage.local.get(HISTORY_KEY);
+	return history as HistoryEvent[];
+}
+
+/**
+ * Append an event to the history, dropping events past the retention cap
+ */
+export function recordHistoryEvent(event: HistoryEvent): Promise<unknown> {
+	historyUpdate = historyUpdate
+		.then(async () => {
+			const cutoff = Date.now() - MAX_HISTORY_AGE_MS;
+			const history = [...(await getHistory()), event]
+				.filter((e) => e.at >= cutoff)
+				.slice(-MAX_HISTORY_EVENTS);
+			await browser.storage.local.set({ [HISTORY_KEY]: history });
+		})
+		.catch((error) => {
+			console.error("Error recording history event:", error);
+		});
+	return historyUpdate;
+}
+
+async function clearHistory(): Promise<void> {
+	await browser.storage.local.set({ [HISTORY_KEY]: [] });
+}
+
+type DailyThroughput = {
+	/** Local date as YYYY-MM-DD */
+	date: string;
+	marked: number;
+	done: number;
+	pulled: number;
+};
+
+function toLocalDate(ms: number): string {
+	const date = new Date(ms);
+	const month = String(date.getMonth() + 1).padStart(2, "0");
+	const day = String(date.getDate()).padStart(2, "0");
+	return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Count marks, unmarks/completions and pulled tabs per day, newest day first
+ */
+function getDailyThroughput(
+	history: HistoryEvent[],
+	days: number,
+): DailyThroughput[] {
+	const byDate = new Map<string, DailyThroughput>();
+	for (let i = 0; i < days; i++) {
+		const date = toLocalDate(Date.now() - i * 24 * 60 * 60_000);
+		byDate.set(date, { date, marked: 0, done: 0, pulled: 0 });
+	}
+
+	for (const event of history) {
+		const day = byDate.get(toLocalDate(event.at));
+		if (!day) continue;
+
+		if (event.type === "mark") day.marked++;
+		if (event.type === "unmark" || event.type === "complete") day.done++;
+		if (event.type === "pull" || event.type === "catch-up") {
+			day.pulled += event.count ?? 0;
+		}
+	}
+
+	return [...byDate.values()];
+}
+
+/**
+ * Average time from marking a tab to unmarking or completing it
+ */
+function getAverageTimeToDone(history: HistoryEvent[]): number | null {
+	const durations = history
+		.filter(
+			(e) =>
+				(e.type === "unmark" || e.type === "complete") && e.markedAt != null,
+		)
+		.map((e) => e.at - (e.markedAt ?? e.at));
+	if (durations.length === 0) return null;
+	return durations.reduce((sum, d) => sum + d, 0) / durations.length;
+}
+
+/**
+ * Count runs that moved tabs and the tabs they moved, per rule ID
+ */
+function getMovesPerRule(
+	history: HistoryEvent[],
+): Map<string, { runs: number; tabsMoved: number }> {
+	const byRule = new Map<string, { runs: number; tabsMoved: number }>();
+	for (const event of history) {
+		if (event.type !== "pull" && event.type !== "catch-up") continue;
+		if (!event.ruleId || !event.count) continue;
+
+		const stats = byRule.get(event.ruleId) ?? { runs: 0, tabsMoved: 0 };
+		stats.runs++;
+		stats.tabsMoved += event.count;
+		byRule.set(event.ruleId, stats);
+	}
+	return byRule;
+}
+
+const CSV_COLUMNS: (keyof HistoryEvent)[] = [
+	"type",
+	"at",
+	"url",
+	"title",
+	"markedAt",
+	"ruleId",
+	"manual",
+	"count",
+	"detail",
+];
+
+function toCsv(history: HistoryEvent[]): string {
+	const escapeField = (value: unknown) => {
+		if (value == null) return "";
+		const text = String(value);
+		return /[",\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+	};
+
+	const rows = history.map((event) =>
+		CSV_COLUMNS.map((column) =>
+			column === "at" || column === "markedAt"
+				? escapeField(
+						event[column] != null
+							? new Date(event[column] as number).toISOString()
+							: null,
+					)
+				: escapeField(event[column]),
+		).join(","),
+	);
+	return [CSV_COLUMNS.join(","), ...rows].join("\n");
+}
+
+export function downloadFile(
+	filename: string,
+	type: string,
+	content: string,
+): void {
+	const url = URL.createObjectURL(new Blob([content], { type }));
+	const link = document.createElement("a");
+	link.href = url;
+	link.download = filename;
+	link.click();
+	URL.revokeObjectURL(url);
+}
+
+function describeEvent(event: HistoryEvent, rules: Rule[]): string {
+	const title = event.title ? `"${event.title}"` : "tab";
+	const ruleIndex = rules.findIndex((r) => r.id === event.ruleId);
+	const ruleName = ruleIndex >= 0 ? `Rule ${ruleIndex + 1}` : "a deleted rule";
+
+	switch (event.type) {
+		case "mark":
+			return `Marked ${title}`;
+		case "unmark":
+			return `Unmarked ${title}`;
+		case "complete":
+			return `Completed ${title} (${event.detail})`;
+		case "pull":
+			if (event.manual) return `Pulled ${event.count ?? 0} tab(s) by hand`;
+			return event.ruleId
+				? `${ruleName} pulled ${event.count ?? 0} tab(s)`
+				: `Pulled ${title} (${event.detail})`;
+		case "catch-up":
+			return event.detail
+				? `${ruleName} caught up: ${event.detail}, pulled ${event.count ?? 0} tab(s)`
+				: `${ruleName} caught up, pulling ${event.count ?? 0} tab(s)`;
+		case "snooze":
+			return event.detail ?? "Snoozed";
+	}
+}
+
+type HistoryPanelProps = {
+	rules: Rule[];
+};
+
+export function HistoryPanel({ rules }: HistoryPanelProps) {
+	const history = useSignal<HistoryEvent[]>([]);
+
+	useEffect(() => {
+		void getHistory().then((h) => {
+			history.value = h;
+		});
+
+		const handleStorageChange: Parameters<
+			typeof browser.storage.onChanged.addListener
+		>[0] = (changes, areaName) => {
+			if (areaName !== "local" || !(HISTORY_KEY in changes)) return;
+			history.value = (changes[HISTORY_KEY].newValue as HistoryEvent[]) ?? [];
+		};
+
+		browser.storage.onChanged.addListener(handleStorageChange);
+		return () => browser.storage.onChanged.removeListener(handleStorageChange);
+	}, []);
+
+	const events = history.value;
+	const averageTimeToDone = getAverageTimeToDone(events);
+	const movesPerRule = getMovesPerRule(events);
+
+	return (
+		<fieldset>
+			<legend>History</legend>
+			<dl>
+				<dt>Events</dt>
+				<dd>{events.length}</dd>
+				<dt>Avg. time to done</dt>
+				<dd>
+					{averageTimeToDone != null
+						? formatCountdown(averageTimeToDone, { preposition: false })
+						: "Unknown"}
+				</dd>
+			</dl>
+
+			<table class="history-table">
+				<caption>Last 7 days</caption>
+				<thead>
+					<tr>
+						<th>Day</th>
+						<th>Marked</th>
+						<th>Done</th>
+						<th>Pulled</th>
+					</tr>
+				</thead>
+				<tbody>
+					{getDailyThroughput(events, 7).map((day) => (
+						<tr key={day.date}>
+							<td>{day.date}</td>
+							<td>{day.marked}</td>
+							<td>{day.done}</td>
+							<td>{day.pulled}</td>
+						</tr>
+					))}
+				</tbody>
+			</table>
+
+			<table class="history-table">
+				<caption>Tabs moved per rule</caption>
+				<thead>
+					<tr>
+						<th>Rule</th>
+						<th>Runs</th>
+						<th>Tabs moved</th>
+					</tr>
+				</thead>
+				<tbody>
+					{[...movesPerRule].map(([ruleId, stats]) => {
+						const ruleIndex = rules.findIndex((r) => r.id === ruleId);
+						return (
+							<tr key={ruleId}>
+								<td>
+									{ruleIndex >= 0 ? `Rule ${ruleIndex + 1}` : "Deleted rule"}
+								</td>
+								<td>{stats.runs}</td>
+								<td>{stats.tabsMoved}</td>
+							</tr>
+						);
+					})}
+					{movesPerRule.size === 0 && (
+						<tr>
+							<td colSpan={3}>No rule has moved tabs yet</td>
+						</tr>
+					)}
+				</tbody>
+			</table>
+
+			{events.length > 0 && (
+				<div class="result-list">
+					<strong>Recent activity</strong>
+					<ul>
+						{events
+							.slice(-10)
+							.reverse()
+							.map((event) => (
+								<li key={`${event.type}-${event.at}`} title={event.url}>
+									{describeEvent(event, rules)} (<Countdown target={event.at} />
+									)
+								</li>
+							))}
+					</ul>
+				</div>
+			)}
+
+			<div class="history-actions">
+				<button
+					type="button"
+					onClick={() =>
+						downloadFile(
+							"actionable-tabs-history.csv",
+							"text/csv",
+							toCsv(events),
+						)
+					}
+				>
+					Export CSV
+				</button>
+				<button
+					type="button"
+					onClick={() =>
+						downloadFile(
+							"actionable-tabs-history.json",
+							"application/json",
+							JSON.stringify(events, null, 2),
+						)
+					}
+				>
+					Export JSON
+				</button>
+				<button
+					type="button"
+					onClick={async () => {
+						if (confirm("Clear all history? This cannot be undone.")) {
+							await clearHistory();
+						}
+					}}
+				>
+					Clear
+				</button>
+			</div>
+		</fieldset>
+	);
+}
@@ -0,0 +1,116 @@
+/// <reference types="bun" />
+
+import { describe, expect, test } from "bun:test";
+import { describeCron, parseSchedulePhrase } from "./natural";
+
+describe("parseSchedulePhrase", () => {
+	test("reads times on weekdays", () => {
+		expect(parseSchedulePhrase("every weekday at 9am and 1pm")).toEqual({
+			crons: ["0 9,13 * * 1-5"],
+			errors: [],
+		});
+	});
+
+	test("reads intervals during work hours", () => {
+		expect(parseSchedulePhrase("every 45 minutes during work hours")).toEqual({
+			crons: [
+				"0,45 9-16/3 * * 1-5",
+				"30 10-16/3 * * 1-5",
+				"15 11-16/3 * * 1-5",
+			],
+			errors: [],
+		});
+	});
+
+	test("reads days with times of their own", () => {
+		expect(parseSchedulePhrase("tuesday at 10am and thursday at 2pm")).toEqual({
+			crons: ["0 10 * * 2", "0 14 * * 4"],
+			errors: [],
+		});
+		expect(parseSchedulePhrase("weekdays at 9am, weekends at 11am")).toEqual({
+			crons: ["0 9 * * 1-5", "0 11 * * 0,6"],
+			errors: [],
+		});
+	});
+
+	test("shares a time between days listed together", () => {
+		expect(parseSchedulePhrase("monday and friday at 9am")).toEqual({
+			crons: ["0 9 * * 1,5"],
+			errors: [],
+		});
+		expect(parseSchedulePhrase("monday at 9am and friday")).toEqual({
+			crons: ["0 9 * * 1,5"],
+			errors: [],
+		});
+	});
+
+	test("combines schedules separated by semicolons", () => {
+		expect(parseSchedulePhrase("daily at noon; every 2 hours")).toEqual({
+			crons: ["0 12 * * *", "0 */2 * * *"],
+			errors: [],
+		});
+	});
+
+	test("keeps cron expressions as they are", () => {
+		expect(parseSchedulePhrase("0 9 * * mon,fri")).toEqual({
+			crons: ["0 9 * * mon,fri"],
+			errors: [],
+		});
+	});
+
+	test("names the cron field at fault", () => {
+		expect(parseSchedulePhrase("61 * * * *").errors[0]).toStartWith(
+			'Minute: "61" is invalid',
+		);
+		expect(parseSchedulePhrase("0 25 * * *").errors[0]).toStartWith(
+			'Hour: "25" is invalid',
+		);
+		expect(parseSchedulePhrase("0 9 * 13 *").errors[0]).toStartWith(
+			'Month: "13" is invalid',
+		);
+		expect(parseSchedulePhrase("0 9 * * 8").errors[0]).toStartWith(
+			'Day of week: "8" is invalid',
+		);
+	});
+
+	test("names the part of a phrase at fault", () => {
+		expect(parseSchedulePhrase("at 9am and 13pm")).toEqual({
+			crons: [],
+			errors: ['Time: "13pm" is not a valid time'],
+		});
+		expect(
+			parseSchedulePhrase("every 30 minutes between 9am and 5:30pm").errors,
+		).toEqual(["Window: must start and end on the hour"]);
+		expect(
+			parseSchedulePhrase("every 30 minutes between 5pm and 9am").errors,
+		).toEqual(["Window: must end after it starts"]);
+		expect(parseSchedulePhrase("at 9am during work hours").errors).toEqual([
+			'Window: only applies to "every …" schedules',
+		]);
+		expect(parseSchedulePhrase("every 0 minutes").errors[0]).toStartWith(
+			"Interval: must be between 1 minute and 23 hours",
+		);
+		expect(
+			parseSchedulePhrase("every 30 minutes at 9am").errors[0],
+		).toStartWith('Schedule: use either "every …" or "at …"');
+		expect(parseSchedulePhrase("at").errors[0]).toStartWith(
+			"Schedule: say how often",
+		);
+		expect(parseSchedulePhrase("sometimes").errors).toEqual([
+			'Didn\'t understand "sometimes"',
+		]);
+	});
+});
+
+describe("describeCron", () => {
+	test("describes the schedules phrases compile to", () => {
+		expect(describeCron("0 9,13 * * 1-5")).toBe(
+			"At 09:00 and 13:00 on weekdays",
+		);
+		expect(describeCron("0 10 * * 2")).toBe("At 10:00 on Tuesday");
+		expect(describeCron("*/30 * * * *")).toBe("Every 30 minutes");
+		expect(describeCron("30 10-16/3 * * 1-5")).toBe(
+			"At :30 every 3 hours from 10:00 to 16:59 on weekdays",
+		);
+	});
+});
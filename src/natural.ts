@@ -0,0 +1,528 @@
+import { CronExpressionParser } from "cron-parser";
+
+/**
+ * Result of reading a schedule phrase: the cron expressions it compiles to, or
+ * the problems found, each prefixed with the part of the schedule at fault
+ */
+type ScheduleParseResult = {
+	crons: string[];
+	errors: string[];
+};
+
+const DAY_NAMES = [
+	"Sunday",
+	"Monday",
+	"Tuesday",
+	"Wednesday",
+	"Thursday",
+	"Friday",
+	"Saturday",
+];
+
+const WEEKDAYS = [1, 2, 3, 4, 5];
+const WEEKEND = [0, 6];
+
+/** Working hours, as [start, end) minutes of the day */
+const WORK_HOURS: [number, number] = [9 * 60, 17 * 60];
+
+const TIME_PATTERN =
+	"(?:\\d{1,2}(?::\\d{2})?\\s*(?:am|pm|a\\.m\\.|p\\.m\\.)?|noon|midnight)";
+const DAY_PATTERN =
+	"(?:sun(?:day)?|mon(?:day)?|tue(?:s(?:day)?)?|wed(?:nesday)?|thu(?:r(?:s(?:day)?)?)?|fri(?:day)?|sat(?:urday)?)s?";
+
+/** Words that connect the parts of a phrase without meaning anything alone */
+const FILLER_WORDS = new Set(["and", "on", "at", "the", "every", "each", "in"]);
+
+const CRON_FIELD_NAMES = [
+	"Minute",
+	"Hour",
+	"Day of month",
+	"Month",
+	"Day of week",
+];
+
+/**
+ * Check whether text is shaped like a cron expression rather than a phrase
+ */
+function looksLikeCron(text: string): boolean {
+	const fields = text.split(/\s+/);
+	return (
+		(fields.length === 5 || fields.length === 6) &&
+		/^[\d*]/.test(text) &&
+		fields.every((field) => /^[\d*/,\-?LW#a-zA-Z]+$/.test(field))
+	);
+}
+
+/**
+ * Validate each field of a cron expression on its own, so errors name the field
+ */
+function validateCronFields(expression: string): string[] {
+	const fields = expression.split(/\s+/);
+	const names =
+		fields.length === 6 ? ["Second", ...CRON_FIELD_NAMES] : CRON_FIELD_NAMES;
+
+	const errors: string[] = [];
+	fields.forEach((field, index) => {
+		const probe = fields.map((f, i) => (i === index ? f : "*")).join(" ");
+		try {
+			CronExpressionParser.parse(probe, { strict: false });
+		} catch (err) {
+			errors.push(
+				`${names[index]}: "${field}" is invalid${err instanceof Error ? ` (${err.message})` : ""}`,
+			);
+		}
+	});
+
+	if (errors.length === 0) {
+		try {
+			CronExpressionParser.parse(expression, { strict: false });
+		} catch (err) {
+			errors.push(
+				err instanceof Error ? err.message : "Invalid cron expression",
+			);
+		}
+	}
+	return errors;
+}
+
+/**
+ * Parse a time of day such as "9am", "14:30" or "noon"
+ * @returns Minutes after midnight, or null if the time is invalid
+ */
+function parseTime(text: string): number | null {
+	const time = text.trim().replaceAll(".", "");
+	if (time === "noon") return 12 * 60;
+	if (time === "midnight") return 0;
+
+	const match = /^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/.exec(time);
+	if (!match) return null;
+
+	let hours = Number(match[1]);
+	const minutes = Number(match[2] ?? 0);
+	const meridiem = match[3];
+	if (minutes > 59) return null;
+	if (meridiem) {
+		if (hours < 1 || hours > 12) return null;
+		hours = (hours % 12) + (meridiem === "pm" ? 12 : 0);
+	} else if (hours > 23) {
+		return null;
+	}
+	return hours * 60 + minutes;
+}
+
+function parseDay(text: string): number {
+	const prefix = text.slice(0, 2);
+	return DAY_NAMES.findIndex((day) => day.toLowerCase().startsWith(prefix));
+}
+
+/**
+ * Format numbers as a cron list, collapsing runs of three or more into ranges
+ */
+function toCronList(values: number[]): string {
+	const sorted = [...new Set(values)].sort((a, b) => a - b);
+	const parts: string[] = [];
+	let i = 0;
+	while (i < sorted.length) {
+		let j = i;
+		while (j + 1 < sorted.length && sorted[j + 1] === sorted[j] + 1) j++;
+		if (j - i >= 2) {
+			parts.push(`${sorted[i]}-${sorted[j]}`);
+		} else {
+			parts.push(...sorted.slice(i, j + 1).map(String));
+		}
+		i = j + 1;
+	}
+	return parts.join(",");
+}
+
+function gcd(a: number, b: number): number {
+	return b === 0 ? a : gcd(b, a % b);
+}
+
+/**
+ * Compile "every N minutes" within a window of whole hours to cron expressions.
+ * Intervals that don't divide an hour repeat over a cycle of several hours,
+ * which takes one expression per distinct hour offset in the cycle.
+ */
+function compileInterval(
+	intervalMinutes: number,
+	[windowStart, windowEnd]: [number, number],
+	dayField: string,
+): string[] {
+	const firstHour = windowStart / 60;
+	const lastHour = windowEnd / 60 - 1;
+	const wholeDay = firstHour === 0 && lastHour === 23;
+
+	if (intervalMinutes < 60 && 60 % intervalMinutes === 0) {
+		const minuteField = intervalMinutes === 1 ? "*" : `*/${intervalMinutes}`;
+		const hourField = wholeDay ? "*" : `${firstHour}-${lastHour}`;
+		return [`${minuteField} ${hourField} * * ${dayField}`];
+	}
+
+	const cycleHours = intervalMinutes / gcd(intervalMinutes, 60);
+	// Minutes past the hour, grouped by the hour field they run in
+	const minutesByHourField = new Map<string, number[]>();
+	for (let t = 0; t < cycleHours * 60; t += intervalMinutes) {
+		const startHour = firstHour + Math.floor(t / 60);
+		if (startHour > lastHour) continue;
+
+		const hourField =
+			cycleHours === 1
+				? wholeDay
+					? "*"
+					: `${firstHour}-${lastHour}`
+				: wholeDay && startHour === 0
+					? `*/${cycleHours}`
+					: `${startHour}-${lastHour}/${cycleHours}`;
+		minutesByHourField.set(hourField, [
+			...(minutesByHourField.get(hourField) ?? []),
+			t % 60,
+		]);
+	}
+
+	return [...minutesByHourField].map(
+		([hourField, minutes]) =>
+			`${toCronList(minutes)} ${hourField} * * ${dayField}`,
+	);
+}
+
+/**
+ * Compile times of day to cron expressions, sharing one expression between
+ * times whose minutes run in the same hours
+ */
+function compileTimes(times: number[], dayField: string): string[] {
+	const hoursByMinute = new Map<number, number[]>();
+	for (const time of times) {
+		const minute = time % 60;
+		hoursByMinute.set(minute, [
+			...(hoursByMinute.get(minute) ?? []),
+			Math.floor(time / 60),
+		]);
+	}
+
+	const minutesByHourField = new Map<string, number[]>();
+	for (const [minute, hours] of hoursByMinute) {
+		const hourField = toCronList(hours);
+		minutesByHourField.set(hourField, [
+			...(minutesByHourField.get(hourField) ?? []),
+			minute,
+		]);
+	}
+
+	return [...minutesByHourField].map(
+		([hourField, minutes]) =>
+			`${toCronList(minutes)} ${hourField} * * ${dayField}`,
+	);
+}
+
+/** Where a clause for other days starts, e.g. "and thursday" or ", weekends" */
+const DAY_CLAUSE_START = new RegExp(
+	`\\s*(?:,|\\band\\b)\\s*(?=(?:on |every |each )?(?:${DAY_PATTERN}|weekdays?|weekends?)\\b)`,
+	"i",
+);
+
+/** Parts of a clause that say when it runs, rather than on which days */
+const CLAUSE_TIME_PATTERN =
+	/\d|\bnoon\b|\bmidnight\b|\bhourly\b|\b(?:every|each) (?:minute|hour)\b/i;
+
+/**
+ * Split a phrase into clauses for different days with times of their own, as
+ * in "tuesday at 10am and thursday at 2pm". Days without a time share the
+ * time of the clause after them, as in "monday and friday at 9am", or else of
+ * the one before them.
+ */
+function splitDayClauses(phrase: string): string[] {
+	const clauses: string[] = [];
+	let pending = "";
+	for (const part of phrase.split(DAY_CLAUSE_START)) {
+		const clause = pending ? `${pending} and ${part}` : part;
+		if (CLAUSE_TIME_PATTERN.test(part)) {
+			clauses.push(clause);
+			pending = "";
+		} else {
+			pending = clause;
+		}
+	}
+	if (pending && clauses.length > 0) {
+		clauses.push(`${clauses.pop()} and ${pending}`);
+	} else if (pending) {
+		clauses.push(pending);
+	}
+	return clauses;
+}
+
+/**
+ * Read a schedule written as a phrase, such as "every weekday at 9am and 1pm",
+ * "every 45 minutes during work hours" or "tuesday at 10am and thursday at
+ * 2pm", or as a cron expression. Several schedules can be combined with ";".
+ */
+export function parseSchedulePhrase(phrase: string): ScheduleParseResult {
+	const results = phrase
+		.split(";")
+		.flatMap((part) =>
+			looksLikeCron(part.trim()) ? [part] : splitDayClauses(part),
+		)
+		.map(parseSinglePhrase);
+	const errors = results.flatMap((result) => result.errors);
+	return {
+		crons:
+			errors.length === 0
+				? [...new Set(results.flatMap((result) => result.crons))]
+				: [],
+		errors,
+	};
+}
+
+function parseSinglePhrase(phrase: string): ScheduleParseResult {
+	const text = phrase.trim().toLowerCase().replace(/\s+/g, " ");
+	if (!text) return { crons: [], errors: [] };
+
+	if (looksLikeCron(text)) {
+		const expression = phrase.trim().replace(/\s+/g, " ");
+		const errors = validateCronFields(expression);
+		return { crons: errors.length === 0 ? [expression] : [], errors };
+	}
+
+	let rest = ` ${text.replaceAll(",", " , ")} `;
+	/** Remove the first match of a pattern from the phrase and return it */
+	function take(pattern: RegExp): RegExpExecArray | null {
+		const match = pattern.exec(rest);
+		if (match) {
+			rest = `${rest.slice(0, match.index)} ${rest.slice(match.index + match[0].length)}`;
+		}
+		return match;
+	}
+
+	const errors: string[] = [];
+	let days: number[] = [];
+	let window: [number, number] | null = null;
+
+	if (take(/\b(?:during|in) (?:work|working|business|office) hours\b/)) {
+		window = WORK_HOURS;
+		days = WEEKDAYS;
+	}
+	const between = take(
+		new RegExp(
+			`\\b(?:between|from) (${TIME_PATTERN}) (?:and|to|until|till|-) (${TIME_PATTERN})\\b`,
+		),
+	);
+	if (between) {
+		const start = parseTime(between[1]);
+		const end = parseTime(between[2]);
+		if (start == null || end == null) {
+			errors.push(`Window: "${between[0].trim()}" has an invalid time`);
+		} else if (start % 60 !== 0 || end % 60 !== 0) {
+			errors.push("Window: must start and end on the hour");
+		} else if (end <= start) {
+			errors.push("Window: must end after it starts");
+		} else {
+			window = [start, end];
+		}
+	}
+
+	let intervalMinutes: number | null = null;
+	const interval = take(/\bevery (\d+) ?(minutes?|mins?|m|hours?|hrs?|h)\b/);
+	if (interval) {
+		intervalMinutes =
+			Number(interval[1]) * (interval[2].startsWith("h") ? 60 : 1);
+	} else if (take(/\b(?:every|each) minute\b/)) {
+		intervalMinutes = 1;
+	} else if (take(/\b(?:every|each) hour\b|\bhourly\b/)) {
+		intervalMinutes = 60;
+	}
+
+	if (take(/\b(?:weekdays?|work ?days?|business days?)\b/)) {
+		days = [...days, ...WEEKDAYS];
+	}
+	if (take(/\bweekends?\b/)) {
+		days = [...days, ...WEEKEND];
+	}
+	const everyDay = take(/\b(?:every|each) day\b|\bdaily\b/);
+	for (
+		let range = take(
+			new RegExp(
+				`\\b(${DAY_PATTERN}) ?(?:-|to|through|thru) ?(${DAY_PATTERN})\\b`,
+			),
+		);
+		range;
+		range = take(
+			new RegExp(
+				`\\b(${DAY_PATTERN}) ?(?:-|to|through|thru) ?(${DAY_PATTERN})\\b`,
+			),
+		)
+	) {
+		const first = parseDay(range[1]);
+		const last = parseDay(range[2]);
+		for (let day = first; day !== (last + 1) % 7; day = (day + 1) % 7) {
+			days = [...days, day];
+		}
+	}
+	for (
+		let day = take(new RegExp(`\\b${DAY_PATTERN}\\b`));
+		day;
+		day = take(new RegExp(`\\b${DAY_PATTERN}\\b`))
+	) {
+		days = [...days, parseDay(day[0])];
+	}
+
+	let times: number[] = [];
+	const at = take(
+		new RegExp(
+			`\\b(?:at )?(${TIME_PATTERN}(?: ?(?:,|and|&) ?${TIME_PATTERN})*)(?= |$)`,
+		),
+	);
+	if (at) {
+		for (const part of at[1].split(/ ?(?:,|and|&) ?/)) {
+			const time = parseTime(part);
+			if (time == null) {
+				errors.push(`Time: "${part.trim()}" is not a valid time`);
+			} else {
+				times = [...times, time];
+			}
+		}
+	}
+
+	const unknownWords = rest
+		.split(/[ ,]+/)
+		.filter((word) => word && !FILLER_WORDS.has(word));
+	if (unknownWords.length > 0) {
+		errors.push(`Didn't understand "${unknownWords.join(" ")}"`);
+	}
+
+	if (intervalMinutes != null && times.length > 0) {
+		errors.push(
+			'Schedule: use either "every …" or "at …", not both, e.g. "every 30 minutes" or "at 9am"',
+		);
+	} else if (intervalMinutes == null && times.length === 0) {
+		if (everyDay || days.length > 0) {
+			times = [0];
+		} else if (errors.length === 0) {
+			errors.push(
+				'Schedule: say how often, e.g. "every 30 minutes" or "weekdays at 9am"',
+			);
+		}
+	}
+	if (
+		intervalMinutes != null &&
+		(intervalMinutes < 1 || intervalMinutes >= 24 * 60)
+	) {
+		errors.push(
+			'Interval: must be between 1 minute and 23 hours; use "every day at …" for daily runs',
+		);
+	}
+	if (window && intervalMinutes == null) {
+		errors.push('Window: only applies to "every …" schedules');
+	}
+
+	if (errors.length > 0) return { crons: [], errors };
+
+	const dayField =
+		days.length === 0 || new Set(days).size === 7 ? "*" : toCronList(days);
+	const crons =
+		intervalMinutes != null
+			? compileInterval(intervalMinutes, window ?? [0, 24 * 60], dayField)
+			: compileTimes(times, dayField);
+	return { crons, errors: [] };
+}
+
+function formatHour(hour: number, minute = 0): string {
+	return `${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")}`;
+}
+
+function joinList(items: string[]): string {
+	return items.length > 1
+		? `${items.slice(0, -1).join(", ")} and ${items.at(-1)}`
+		: (items[0] ?? "");
+}
+
+/**
+ * Expand a plain cron list of numbers and ranges, or return null for steps and wildcards
+ */
+function expandCronList(field: string): number[] | null {
+	if (!/^[\d,-]+$/.test(field)) return null;
+	return field.split(",").flatMap((part) => {
+		const [start, end = start] = part.split("-").map(Number);
+		return Array.from({ length: end - start + 1 }, (_, i) => start + i);
+	});
+}
+
+function describeDays(field: string): string {
+	if (field === "*" || field === "?") return "every day";
+	if (field === "1-5") return "on weekdays";
+	if (field === "0,6" || field === "6,0") return "on weekends";
+
+	const days = expandCronList(field);
+	return days
+		? `on ${joinList(days.map((day) => DAY_NAMES[day % 7]))}`
+		: `on days of the week ${field}`;
+}
+
+function describeHours(field: string): string {
+	if (field === "*") return "";
+
+	const step = /^(?:\*|(\d+)-(\d+))\/(\d+)$/.exec(field);
+	if (step) {
+		const [, first, last, every] = step;
+		return first == null
+			? ` every ${every} hours`
+			: ` every ${every} hours from ${formatHour(Number(first))} to ${formatHour(Number(last), 59)}`;
+	}
+
+	const range = /^(\d+)-(\d+)$/.exec(field);
+	if (range) {
+		return ` from ${formatHour(Number(range[1]))} to ${formatHour(Number(range[2]), 59)}`;
+	}
+	return ` during hour(s) ${field}`;
+}
+
+/**
+ * Describe a five-field cron expression in words, for the shapes the phrase
+ * parser produces and common hand-written ones
+ * @returns The description, or null if the expression is too unusual to describe
+ */
+export function describeCron(expression: string): string | null {
+	const fields = expression.trim().split(/\s+/);
+	if (fields.length !== 5) return null;
+
+	const [minute, hour, dayOfMonth, month, dayOfWeek] = fields;
+	if (dayOfMonth !== "*" || month !== "*") {
+		if (dayOfMonth === "1" && month === "*" && dayOfWeek === "*") {
+			const minutes = expandCronList(minute);
+			const hours = expandCronList(hour);
+			if (minutes?.length === 1 && hours?.length === 1) {
+				return `At ${formatHour(hours[0], minutes[0])} on the 1st of every month`;
+			}
+		}
+		return null;
+	}
+
+	const days = describeDays(dayOfWeek);
+	// Repeating schedules run every day unless told otherwise
+	const repeatDays = dayOfWeek === "*" ? "" : ` ${days}`;
+	const minutes = expandCronList(minute);
+	const hours = expandCronList(hour);
+
+	if (minutes?.length === 1 && /^\d+-\d+$/.test(hour)) {
+		return `Every hour at :${String(minutes[0]).padStart(2, "0")}${describeHours(hour)}${repeatDays}`;
+	}
+	if (minutes && hours) {
+		const times = hours.flatMap((h) => minutes.map((m) => formatHour(h, m)));
+		return `At ${joinList(times)} ${days}`;
+	}
+	if (minute === "*") {
+		return `Every minute${describeHours(hour)}${repeatDays}`;
+	}
+
+	const minuteStep = /^\*\/(\d+)$/.exec(minute);
+	if (minuteStep) {
+		return `Every ${minuteStep[1]} minutes${describeHours(hour)}${repeatDays}`;
+	}
+
+	if (minutes) {
+		const past = joinList(minutes.map((m) => `:${String(m).padStart(2, "0")}`));
+		return hour === "*"
+			? `Every hour at ${past}${repeatDays}`
+			: `At ${past}${describeHours(hour)}${repeatDays}`;
+	}
+	return null;
+}
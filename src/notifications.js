@@ -0,0 +1,94 @@
+/// <reference types="./ambient.d.ts" />
+
+if (typeof browser === "undefined") globalThis.browser = chrome;
+
+/**
+ * Actions offered as buttons on notifications about a single tab: unmark it,
+ * or hide it from the queue for an hour
+ * @typedef {"done" | "snooze"} NotificationAction
+ */
+
+/**
+ * Button labels of the actions offered on notifications about a single tab
+ * @type {Record<NotificationAction, string>}
+ */
+const NOTIFICATION_ACTION_LABELS = {
+	done: "Done",
+	snooze: "Snooze this tab 1h",
+};
+
+/** Actions offered on notifications about a single tab */
+export const NOTIFICATION_ACTIONS = /** @type {NotificationAction[]} */ ([
+	"done",
+	"snooze",
+]);
+
+/** How long the "snooze" notification action hides a tab from the queue */
+export const NOTIFICATION_SNOOZE_MS = 60 * 60_000;
+
+const TAB_NOTIFICATION_PATTERN = /^tab_(\d+)_([a-z,]*)$/;
+
+/**
+ * Show a notification about a tab, which focuses the tab when clicked. The
+ * tab and the offered actions are kept in the notification ID, so the click
+ * handlers need no other state.
+ * @param {number} tabId
+ * @param {string} message
+ * @param {{actions?: NotificationAction[]}} [options]
+ * Buttons to offer, in browsers with notification buttons. Omit for
+ * notifications about several tabs, where the tab is only focused.
+ */
+export async function createTabNotification(tabId, message, options = {}) {
+	const { actions = [] } = options;
+	const notificationId = `tab_${tabId}_${actions.join(",")}`;
+	/** @type {import('webextension-polyfill').Notifications.CreateNotificationOptions} */
+	const notification = {
+		type: "basic",
+		iconUrl: "icons/icon-on-48.png",
+		title: "Actionable Tabs",
+		message,
+	};
+
+	await browser.notifications.clear(notificationId);
+	if (actions.length === 0) {
+		await browser.notifications.create(notificationId, notification);
+		return;
+	}
+	try {
+		// Buttons aren't in the polyfill types, since Firefox rejects them
+		await browser.notifications.create(
+			notificationId,
+			/** @type {typeof notification} */ ({
+				...notification,
+				buttons: actions.map((action) => ({
+					title: NOTIFICATION_ACTION_LABELS[action],
+				})),
+			}),
+		);
+	} catch (_err) {
+		// Without notification buttons, the popup has the same actions
+		await browser.notifications.create(notificationId, {
+			...notification,
+			message: `${message}\nClick to go to the tab`,
+		});
+	}
+}
+
+/**
+ * Read a notification ID created by createTabNotification
+ * @param {string} notificationId
+ * @returns {{tabId: number, actions: NotificationAction[]} | null}
+ */
+export function parseTabNotificationId(notificationId) {
+	const match = TAB_NOTIFICATION_PATTERN.exec(notificationId);
+	if (!match) return null;
+
+	return {
+		tabId: Number(match[1]),
+		actions: /** @type {NotificationAction[]} */ (
+			match[2]
+				.split(",")
+				.filter((action) => action in NOTIFICATION_ACTION_LABELS)
+		),
+	};
+}
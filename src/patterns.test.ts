@@ -0,0 +1,31 @@
+/// <reference types="bun" />
+
+import { describe, expect, test } from "bun:test";
+import { matchesUrlPattern } from "./patterns";
+
+const MERGED_URL = "https://github.com/ewired/actionable-tabs/pull/12/merged";
+
+describe("matchesUrlPattern", () => {
+	test("matches globs against the whole URL", () => {
+		expect(
+			matchesUrlPattern(MERGED_URL, "https://github.com/*/pull/*", "glob"),
+		).toBe(true);
+		expect(matchesUrlPattern(MERGED_URL, "github.com/*", "glob")).toBe(false);
+	});
+
+	test("matches globs starting with a slash against the end of the path", () => {
+		expect(matchesUrlPattern(MERGED_URL, "/pull/*/merged", "glob")).toBe(true);
+		expect(matchesUrlPattern(MERGED_URL, "/pull/*", "glob")).toBe(true);
+		expect(
+			matchesUrlPattern(`${MERGED_URL}?tab=files`, "/pull/*/merged", "glob"),
+		).toBe(true);
+		expect(matchesUrlPattern(MERGED_URL, "/pull/*/files", "glob")).toBe(false);
+		expect(matchesUrlPattern("not a url", "/*", "glob")).toBe(false);
+	});
+
+	test("matches regular expressions anywhere in the URL", () => {
+		expect(matchesUrlPattern(MERGED_URL, "/pull/\\d+/merged$", "regex")).toBe(
+			true,
+		);
+	});
+});
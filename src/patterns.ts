@@ -0,0 +1,88 @@
+import type { AutoMarkRule } from "./storage";
+
+/**
+ * Convert a glob to an anchored regular expression
+ * `*` matches any run of characters and `?` matches a single character
+ */
+function globToRegExp(glob: string): RegExp {
+	const source = glob
+		.split("")
+		.map((char) => {
+			if (char === "*") return ".*";
+			if (char === "?") return ".";
+			return char.replace(/[.+^${}()|[\]\\/]/g, "\\$&");
+		})
+		.join("");
+	return new RegExp(`^${source}$`, "i");
+}
+
+/**
+ * Compile a URL pattern, or return null if it is empty or not a valid regular expression
+ */
+function compileUrlPattern(
+	pattern: string,
+	patternType: AutoMarkRule["patternType"],
+): RegExp | null {
+	if (!pattern.trim()) return null;
+
+	try {
+		return patternType === "regex"
+			? new RegExp(pattern, "i")
+			: globToRegExp(pattern.trim());
+	} catch (_err) {
+		return null;
+	}
+}
+
+/**
+ * Check whether a URL pattern is non-empty and compiles
+ */
+export function isValidUrlPattern(
+	pattern: string,
+	patternType: AutoMarkRule["patternType"],
+): boolean {
+	return compileUrlPattern(pattern, patternType) !== null;
+}
+
+/**
+ * Check whether a URL's path ends with a glob starting with "/", so
+ * "/pull/*" matches pull request pages of any repository
+ */
+function matchesUrlPath(url: string, pathGlob: string): boolean {
+	let pathname: string;
+	try {
+		pathname = new URL(url).pathname;
+	} catch (_err) {
+		return false;
+	}
+	return globToRegExp(`*${pathGlob}`).test(pathname);
+}
+
+/**
+ * Check whether a URL matches a glob or regular expression pattern. Globs
+ * starting with "/" are matched against the end of the URL's path, and other
+ * patterns against the whole URL.
+ */
+export function matchesUrlPattern(
+	url: string,
+	pattern: string,
+	patternType: AutoMarkRule["patternType"],
+): boolean {
+	if (patternType === "glob" && pattern.trim().startsWith("/")) {
+		return matchesUrlPath(url, pattern.trim());
+	}
+	return compileUrlPattern(pattern, patternType)?.test(url) ?? false;
+}
+
+/**
+ * Find the first enabled auto-mark rule whose pattern matches the URL
+ */
+export function findMatchingAutoMarkRule(
+	url: string,
+	rules: AutoMarkRule[],
+): AutoMarkRule | undefined {
+	return rules.find(
+		(rule) =>
+			rule.enabled && matchesUrlPattern(url, rule.pattern, rule.patternType),
+	);
+}
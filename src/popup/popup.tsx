@@ -0,0 +1,470 @@
+/// <reference types="@types/webextension-polyfill" />
+
+import { signal } from "@preact/signals";
+import { render } from "preact";
+import type { Tabs } from "webextension-polyfill";
+import { Countdown } from "../countdown";
+import {
+	type ActionableData,
+	DEFAULTS,
+	getSettings,
+	type Priority,
+} from "../storage";
+import {
+	getActionableData,
+	getActionableTabsSorted,
+	isTabSnoozed,
+} from "../tab.js";
+import { getTabSnoozeTimeForPreset, TAB_SNOOZE_PRESETS } from "../tabsnooze.js";
+
+if (typeof browser === "undefined") globalThis.browser = chrome;
+
+type QueueEntry = Awaited<ReturnType<typeof getActionableTabsSorted>>[number];
+
+type CurrentTab = {
+	tab: Tabs.Tab & { id: number };
+	data: ActionableData | undefined;
+};
+
+const queue = signal<QueueEntry[]>([]);
+const currentTab = signal<CurrentTab | null>(null);
+/** Number of highlighted tabs in the current window */
+const selectedCount = signal<number>(0);
+/** Whether all highlighted tabs of the current window are actionable */
+const allSelectedActionable = signal<boolean>(false);
+/** Display label per window ID, in the order the browser reports windows */
+const windowLabels = signal<Record<number, string>>({});
+const dueInput = signal<string>("");
+const availableTags = signal<string[]>([]);
+const isLoading = signal<boolean>(true);
+
+async function updateQueue(): Promise<void> {
+	const [activeTab] = await browser.tabs.query({
+		active: true,
+		currentWindow: true,
+	});
+	const windows = await browser.windows.getAll({ windowTypes: ["normal"] });
+
+	windowLabels.value = Object.fromEntries(
+		windows
+			.filter((w) => w.id != null)
+			.map((w, index) => [
+				w.id,
+				w.id === activeTab?.windowId ? "This window" : `Window ${index + 1}`,
+			]),
+	);
+	availableTags.value = (await getSettings()).tags ?? DEFAULTS.tags;
+	const selectedTabs = await browser.tabs.query({
+		highlighted: true,
+		currentWindow: true,
+	});
+	selectedCount.value = selectedTabs.length;
+	let allActionable = true;
+	for (const tab of selectedTabs) {
+		if (tab.id != null && !(await getActionableData(tab.id))) {
+			allActionable = false;
+			break;
+		}
+	}
+	allSelectedActionable.value = allActionable;
+	queue.value = await getActionableTabsSorted(
+		"oldest",
+		undefined,
+		undefined,
+		true,
+	);
+	currentTab.value =
+		activeTab?.id != null
+			? {
+					tab: activeTab as Tabs.Tab & { id: number },
+					data: await getActionableData(activeTab.id),
+				}
+			: null;
+	isLoading.value = false;
+}
+
+async function sendAction(message: Record<string, unknown>): Promise<void> {
+	try {
+		const response = (await browser.runtime.sendMessage(message)) as {
+			success: boolean;
+		};
+		if (!response?.success) {
+			console.error(`Action ${message.action} failed`);
+		}
+	} catch (err) {
+		console.error(`Error sending action ${message.action}:`, err);
+	}
+	await updateQueue();
+}
+
+function setActionableState(tabId: number, actionable: boolean): void {
+	void sendAction({ action: "setActionableState", tabId, actionable });
+}
+
+function setSelectedTabsState(actionable: boolean): void {
+	void sendAction({ action: "setSelectedTabsState", actionable });
+}
+
+function pullSelectedTabs(): void {
+	void sendAction({ action: "pullSelectedTabs" });
+}
+
+function moveSelectedTabsToNewWindow(): void {
+	void sendAction({ action: "moveSelectedTabsToNewWindow" });
+}
+
+function pullTab(tabId: number): void {
+	void sendAction({ action: "pullTab", tabId });
+}
+
+function swapQueuePosition(tabId: number, otherTabId: number): void {
+	void sendAction({ action: "swapQueuePosition", tabId, otherTabId });
+}
+
+function setPriority(tabId: number, priority: Priority): void {
+	void sendAction({ action: "setPriority", tabId, priority });
+}
+
+function setTags(tabId: number, tags: string[]): void {
+	void sendAction({ action: "setTags", tabId, tags });
+}
+
+function snoozeTab(tabId: number, preset: string): void {
+	const snoozedUntil = getTabSnoozeTimeForPreset(preset);
+	if (snoozedUntil != null) {
+		void sendAction({ action: "snoozeTab", tabId, snoozedUntil });
+	}
+}
+
+function unsnoozeTab(tabId: number): void {
+	void sendAction({ action: "unsnoozeTab", tabId });
+}
+
+function skipTab(tabId: number): void {
+	void sendAction({ action: "skipTab", tabId });
+}
+
+function setDueTime(tabId: number, dueAt: number | null): void {
+	void sendAction({ action: "setDueTime", tabId, dueAt });
+}
+
+async function jumpToTab(tab: Tabs.Tab & { id: number }): Promise<void> {
+	await browser.tabs.update(tab.id, { active: true });
+	if (tab.windowId != null) {
+		await browser.windows.update(tab.windowId, { focused: true });
+	}
+	window.close();
+}
+
+/** Delay that batches the bursts of tab events, e.g. while a page loads */
+const QUEUE_UPDATE_DELAY_MS = 100;
+let queueUpdateTimer: ReturnType<typeof setTimeout> | undefined;
+
+function scheduleQueueUpdate(): void {
+	clearTimeout(queueUpdateTimer);
+	queueUpdateTimer = setTimeout(
+		() => void updateQueue(),
+		QUEUE_UPDATE_DELAY_MS,
+	);
+}
+
+updateQueue();
+browser.tabs.onCreated.addListener(scheduleQueueUpdate);
+browser.tabs.onRemoved.addListener(scheduleQueueUpdate);
+browser.tabs.onUpdated.addListener((_tabId, changeInfo) => {
+	// Only what the queue shows; loading progress and audio changes are left out
+	if (
+		changeInfo.title != null ||
+		changeInfo.url != null ||
+		changeInfo.favIconUrl != null ||
+		changeInfo.pinned != null
+	) {
+		scheduleQueueUpdate();
+	}
+});
+browser.tabs.onMoved.addListener(scheduleQueueUpdate);
+
+function PrioritySelect({
+	tabId,
+	priority,
+}: {
+	tabId: number;
+	priority: Priority | undefined;
+}) {
+	return (
+		<select
+			class={`priority priority-${priority ?? "normal"}`}
+			value={priority ?? "normal"}
+			onChange={(e) => setPriority(tabId, e.currentTarget.value as Priority)}
+			title="Priority"
+		>
+			<option value="high">High</option>
+			<option value="normal">Normal</option>
+			<option value="low">Low</option>
+		</select>
+	);
+}
+
+function SelectionPanel() {
+	if (selectedCount.value < 2) return null;
+
+	return (
+		<section id="selection">
+			<strong>{selectedCount.value} tabs selected</strong>
+			<div class="selection-actions">
+				<button type="button" onClick={pullSelectedTabs}>
+					Pull
+				</button>
+				<button type="button" onClick={moveSelectedTabsToNewWindow}>
+					New window
+				</button>
+			</div>
+		</section>
+	);
+}
+
+function CurrentTabPanel() {
+	const current = currentTab.value;
+	if (!current) return null;
+
+	const { tab, data } = current;
+	// With several tabs selected, the main button acts on all of them: it
+	// marks them unless all are actionable already, like the toggle shortcut
+	const selected = selectedCount.value > 1;
+	const unmark = selected ? allSelectedActionable.value : Boolean(data);
+
+	return (
+		<section id="current-tab">
+			<button
+				type="button"
+				class={unmark ? "unmark" : "mark"}
+				onClick={() =>
+					selected
+						? setSelectedTabsState(!unmark)
+						: setActionableState(tab.id, !unmark)
+				}
+			>
+				{selected
+					? unmark
+						? `Unmark ${selectedCount.value} selected tabs`
+						: `Mark ${selectedCount.value} selected tabs actionable`
+					: unmark
+						? "Unmark this tab"
+						: "Mark this tab actionable"}
+			</button>
+			{data && (
+				<div class="current-priority">
+					Priority <PrioritySelect tabId={tab.id} priority={data.priority} />
+				</div>
+			)}
+			{availableTags.value.length > 0 && (
+				<div class="tag-list">
+					{availableTags.value.map((tag) => {
+						const tags = data?.tags ?? [];
+						return (
+							<label key={tag} class="tag">
+								<input
+									type="checkbox"
+									checked={tags.includes(tag)}
+									onChange={(e) =>
+										setTags(
+											tab.id,
+											e.currentTarget.checked
+												? [...tags, tag]
+												: tags.filter((t) => t !== tag),
+										)
+									}
+								/>
+								{tag}
+							</label>
+						);
+					})}
+				</div>
+			)}
+			<form
+				class="due-form"
+				onSubmit={(e) => {
+					e.preventDefault();
+					const dueAt = new Date(dueInput.value).getTime();
+					if (Number.isFinite(dueAt)) {
+						setDueTime(tab.id, dueAt);
+						dueInput.value = "";
+					}
+				}}
+			>
+				<input
+					type="datetime-local"
+					value={dueInput.value}
+					onInput={(e) => {
+						dueInput.value = e.currentTarget.value;
+					}}
+					aria-label="Due time"
+					required
+				/>
+				<button type="submit">Remind me</button>
+			</form>
+			{data?.dueAt != null && (
+				<small>
+					Due <Countdown target={data.dueAt} />{" "}
+					<button
+						type="button"
+						class="link"
+						onClick={() => setDueTime(tab.id, null)}
+					>
+						Clear
+					</button>
+				</small>
+			)}
+		</section>
+	);
+}
+
+function App() {
+	if (isLoading.value) {
+		return <p>Loading queue...</p>;
+	}
+
+	const entries = queue.value;
+
+	return (
+		<div>
+			<SelectionPanel />
+			<CurrentTabPanel />
+			<h1>Queue ({entries.length})</h1>
+			{entries.length === 0 ? (
+				<p class="empty">No actionable tabs</p>
+			) : (
+				<ol id="queue">
+					{entries.map(({ tabId, tab, data }, index) => (
+						<li key={tabId}>
+							<button
+								type="button"
+								class="queue-tab"
+								onClick={() => jumpToTab(tab)}
+								title={tab.url}
+							>
+								{tab.favIconUrl ? (
+									<img src={tab.favIconUrl} alt="" width={16} height={16} />
+								) : (
+									<span class="favicon-placeholder" />
+								)}
+								<span class="queue-title">{tab.title}</span>
+							</button>
+							<small>
+								Marked <Countdown target={data.markedAt} />
+								{tab.windowId != null &&
+									` · ${windowLabels.value[tab.windowId] ?? "Other window"}`}
+								{data.dueAt != null && (
+									<>
+										{" "}
+										· due <Countdown target={data.dueAt} />
+									</>
+								)}
+								{isTabSnoozed(data) && (
+									<>
+										{" "}
+										· snoozed until{" "}
+										<Countdown target={data.snoozedUntil ?? 0} />
+									</>
+								)}
+							</small>
+							{data.tags?.length ? (
+								<div class="tag-list">
+									{data.tags.map((tag) => (
+										<span key={tag} class="tag">
+											{tag}
+										</span>
+									))}
+								</div>
+							) : null}
+							<div class="queue-controls">
+								<PrioritySelect tabId={tabId} priority={data.priority} />
+								<button
+									type="button"
+									disabled={index === 0}
+									onClick={() =>
+										swapQueuePosition(tabId, entries[index - 1].tabId)
+									}
+									title="Move up in queue"
+								>
+									↑
+								</button>
+								<button
+									type="button"
+									disabled={index === entries.length - 1}
+									onClick={() =>
+										swapQueuePosition(tabId, entries[index + 1].tabId)
+									}
+									title="Move down in queue"
+								>
+									↓
+								</button>
+								<button
+									type="button"
+									onClick={() => pullTab(tabId)}
+									title="Pull to top/left of its window"
+								>
+									Pull
+								</button>
+								{isTabSnoozed(data) ? (
+									<button
+										type="button"
+										onClick={() => unsnoozeTab(tabId)}
+										title="Bring back into the queue now"
+									>
+										Wake
+									</button>
+								) : (
+									<select
+										value=""
+										onChange={(e) => snoozeTab(tabId, e.currentTarget.value)}
+										title="Leave out of the queue until later"
+									>
+										<option value="" disabled>
+											Snooze
+										</option>
+										{TAB_SNOOZE_PRESETS.map((preset) => (
+											<option key={preset.id} value={preset.id}>
+												{preset.title}
+											</option>
+										))}
+									</select>
+								)}
+								<button
+									type="button"
+									onClick={() => skipTab(tabId)}
+									title="Send to the back of the queue"
+								>
+									Skip
+								</button>
+								<button
+									type="button"
+									class="remove"
+									onClick={() => setActionableState(tabId, false)}
+									title="Unmark as actionable"
+								>
+									×
+								</button>
+							</div>
+						</li>
+					))}
+				</ol>
+			)}
+			<button
+				type="button"
+				class="link"
+				onClick={() => {
+					browser.runtime.openOptionsPage();
+					window.close();
+				}}
+			>
+				Settings
+			</button>
+		</div>
+	);
+}
+
+const appElement = document.getElementById("app");
+if (appElement) {
+	render(<App />, appElement);
+}
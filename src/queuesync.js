@@ -0,0 +1,339 @@
+/// <reference types="./ambient.d.ts" />
+
+import {
+	DEFAULTS,
+	getSettings,
+	isQueueSyncKey,
+	QUEUE_SYNC_KEY_PREFIX,
+} from "./storage.js";
+import { getCachedActionableTabs, getUnmarkedUrls } from "./tab.js";
+
+if (typeof browser === "undefined") globalThis.browser = chrome;
+
+/** storage.local key of this device's ID among the synced queues */
+const DEVICE_ID_KEY = "queueSyncDeviceId";
+
+/** Alarm publishing this device's queue, at most this often after changes */
+export const QUEUE_SYNC_ALARM = "queueSync";
+const QUEUE_SYNC_DELAY_MINUTES = 0.5;
+
+/** How long an unmark is remembered for devices that haven't synced yet */
+const REMOVED_RETENTION_MS = 30 * 24 * 60 * 60_000;
+
+/**
+ * storage.sync allows 8 KB per key and 100 KB in total (Chrome and Firefox),
+ * shared by the settings and the queues of all devices. Each device's queue
+ * is split into keys of at most SYNC_ITEM_BYTES and takes at most
+ * MAX_QUEUE_SYNC_BYTES of what the others leave, keeping a key's worth free
+ * for the settings to grow.
+ */
+const SYNC_ITEM_BYTES = 8192;
+const SYNC_QUOTA_BYTES = 102400;
+const MAX_QUEUE_SYNC_BYTES = 40 * 1024;
+
+const MAX_TITLE_LENGTH = 80;
+
+/**
+ * Get the ID this device's queue is synced under, creating it on first use
+ * @returns {Promise<string>}
+ */
+export async function getDeviceId() {
+	const { [DEVICE_ID_KEY]: deviceId } =
+		await browser.storage.local.get(DEVICE_ID_KEY);
+	if (typeof deviceId === "string") return deviceId;
+
+	const newDeviceId = crypto.randomUUID().slice(0, 8);
+	await browser.storage.local.set({ [DEVICE_ID_KEY]: newDeviceId });
+	return newDeviceId;
+}
+
+/**
+ * Describe this device for other devices, e.g. "Firefox on linux"
+ * @returns {Promise<string>}
+ */
+async function getDeviceName() {
+	const { os } = await browser.runtime.getPlatformInfo();
+	const browserName = navigator.userAgent.includes("Firefox")
+		? "Firefox"
+		: "Chrome";
+	return `${browserName} on ${os}`;
+}
+
+/**
+ * Read the queues of all devices from storage.sync, joining their parts
+ * @returns {Promise<Record<string, import("./storage").SyncedQueue>>} Queues by device ID
+ */
+export async function getSyncedQueues() {
+	const stored = await browser.storage.sync.get();
+	/** @type {Record<string, import("./storage").SyncedQueue>} */
+	const queues = {};
+	for (const [key, value] of Object.entries(stored)) {
+		if (!isQueueSyncKey(key)) continue;
+
+		// Keys are `${QUEUE_SYNC_KEY_PREFIX}${deviceId}_${part}`
+		const deviceId = key.slice(QUEUE_SYNC_KEY_PREFIX.length).split("_")[0];
+		const part = /** @type {import("./storage").SyncedQueue} */ (value);
+		queues[deviceId] ??= {
+			deviceName: part.deviceName,
+			items: {},
+			removed: {},
+		};
+		const queue = queues[deviceId];
+		Object.assign(queue.items, part.items);
+		Object.assign(queue.removed, part.removed);
+		if (part.truncated) queue.truncated = part.truncated;
+	}
+	return queues;
+}
+
+/**
+ * Get the size storage.sync counts for a key and its value
+ * @param {string} key
+ * @param {unknown} value
+ */
+function getSyncedSize(key, value) {
+	return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+/**
+ * Share this device's open actionable tabs through storage.sync, along with
+ * the URLs unmarked or completed here lately. Only parts that changed
+ * are written, to stay within the write limits of storage.sync.
+ */
+export async function publishQueue() {
+	const settings = await getSettings();
+	if (!(settings.queueSync ?? DEFAULTS.queueSync)) return;
+
+	const deviceId = await getDeviceId();
+	const previous = (await getSyncedQueues())[deviceId];
+	const now = Date.now();
+
+	/** @type {Record<string, import("./storage").SyncedQueueItem>} */
+	const items = {};
+	for (const { url, title, data } of Object.values(
+		await getCachedActionableTabs(),
+	)) {
+		// Only web pages can be opened on another device
+		if (!/^https?:/.test(url)) continue;
+		if (items[url] && items[url].markedAt <= data.markedAt) continue;
+
+		items[url] = {
+			title: title.slice(0, MAX_TITLE_LENGTH),
+			markedAt: data.markedAt,
+			...(data.tags?.length && { tags: data.tags }),
+			...(data.dueAt != null && { dueAt: data.dueAt }),
+			...(data.priority && { priority: data.priority }),
+		};
+	}
+
+	// Only tabs unmarked or completed here count as removed, since closing a
+	// tab or losing it in a restart says nothing about its task
+	/** @type {Record<string, number>} */
+	const removed = {};
+	for (const removals of [previous?.removed ?? {}, await getUnmarkedUrls()]) {
+		for (const [url, removedAt] of Object.entries(removals)) {
+			if (!(url in items) && now - removedAt < REMOVED_RETENTION_MS) {
+				removed[url] = Math.max(removedAt, removed[url] ?? 0);
+			}
+		}
+	}
+
+	// Newest first, so the oldest tabs and unmarks are left out if the quota runs out
+	const entries = [
+		...Object.entries(items)
+			.sort(([, a], [, b]) => b.markedAt - a.markedAt)
+			.map(([url, item]) => ({ url, item })),
+		...Object.entries(removed)
+			.sort(([, a], [, b]) => b - a)
+			.map(([url, removedAt]) => ({ url, removedAt })),
+	];
+	const deviceName = await getDeviceName();
+	const stored = await browser.storage.sync.get();
+	const ownKeyPrefix = `${QUEUE_SYNC_KEY_PREFIX}${deviceId}_`;
+	let otherBytes = 0;
+	for (const [key, value] of Object.entries(stored)) {
+		if (!key.startsWith(ownKeyPrefix)) otherBytes += getSyncedSize(key, value);
+	}
+	// The polyfill types don't know the quota constants
+	const quotaBytes =
+		/** @type {{QUOTA_BYTES?: number}} */ (browser.storage.sync).QUOTA_BYTES ??
+		SYNC_QUOTA_BYTES;
+	const budget = Math.min(
+		MAX_QUEUE_SYNC_BYTES,
+		quotaBytes - otherBytes - SYNC_ITEM_BYTES,
+	);
+
+	/** @type {Record<string, import("./storage").SyncedQueue>} */
+	const parts = {};
+	let partsSize = 0;
+	let truncated = 0;
+	/** @type {import("./storage").SyncedQueue} */
+	let part = { deviceName, items: {}, removed: {} };
+	const partKey = (index = Object.keys(parts).length) =>
+		`${ownKeyPrefix}${index}`;
+	/**
+	 * @param {import("./storage").SyncedQueue} queue
+	 * @param {(typeof entries)[number]} entry
+	 */
+	const withEntry = (queue, entry) => {
+		const candidate = structuredClone(queue);
+		if ("item" in entry) {
+			candidate.items[entry.url] = entry.item;
+		} else {
+			candidate.removed[entry.url] = entry.removedAt;
+		}
+		return candidate;
+	};
+
+	for (const entry of entries) {
+		const candidate = withEntry(part, entry);
+		const candidateSize = getSyncedSize(partKey(), candidate);
+		if (partsSize + candidateSize > budget) {
+			if ("item" in entry) truncated++;
+			continue;
+		}
+		if (candidateSize <= SYNC_ITEM_BYTES) {
+			part = candidate;
+			continue;
+		}
+
+		// Start a new part if the budget leaves room for it
+		const partSize = getSyncedSize(partKey(), part);
+		const nextPart = withEntry({ deviceName, items: {}, removed: {} }, entry);
+		const nextPartSize = getSyncedSize(
+			partKey(Object.keys(parts).length + 1),
+			nextPart,
+		);
+		if (partsSize + partSize + nextPartSize > budget) {
+			if ("item" in entry) truncated++;
+			continue;
+		}
+		parts[partKey()] = part;
+		partsSize += partSize;
+		part = nextPart;
+	}
+	if (truncated > 0) part.truncated = truncated;
+	parts[partKey()] = part;
+
+	/** @type {Record<string, import("./storage").SyncedQueue>} */
+	const changedParts = {};
+	for (const [key, value] of Object.entries(parts)) {
+		if (JSON.stringify(stored[key]) !== JSON.stringify(value)) {
+			changedParts[key] = value;
+		}
+	}
+	const staleKeys = Object.keys(stored).filter(
+		(key) => key.startsWith(ownKeyPrefix) && !(key in parts),
+	);
+
+	try {
+		if (Object.keys(changedParts).length > 0) {
+			await browser.storage.sync.set(changedParts);
+		}
+		if (staleKeys.length > 0) await browser.storage.sync.remove(staleKeys);
+	} catch (error) {
+		// Most likely the write limit, so try again later
+		console.error("Error syncing the actionable queue:", error);
+		await browser.alarms.create(QUEUE_SYNC_ALARM, {
+			delayInMinutes: QUEUE_SYNC_DELAY_MINUTES * 2,
+		});
+	}
+}
+
+/**
+ * Publish this device's queue soon, batching changes made in the meantime
+ */
+export async function scheduleQueuePublish() {
+	if (!(await browser.alarms.get(QUEUE_SYNC_ALARM))) {
+		await browser.alarms.create(QUEUE_SYNC_ALARM, {
+			delayInMinutes: QUEUE_SYNC_DELAY_MINUTES,
+		});
+	}
+}
+
+/**
+ * Stop sharing this device's queue, removing it from storage.sync
+ */
+export async function withdrawQueue() {
+	const deviceId = await getDeviceId();
+	const stored = await browser.storage.sync.get();
+	const keys = Object.keys(stored).filter((key) =>
+		key.startsWith(`${QUEUE_SYNC_KEY_PREFIX}${deviceId}_`),
+	);
+	if (keys.length > 0) await browser.storage.sync.remove(keys);
+	await browser.alarms.clear(QUEUE_SYNC_ALARM);
+}
+
+/**
+ * Get when a URL was last unmarked on any device but one
+ * @param {Record<string, import("./storage").SyncedQueue>} queues
+ * @param {string} url
+ * @param {string} [exceptDeviceId]
+ * @returns {number}
+ */
+function getLatestRemoval(queues, url, exceptDeviceId) {
+	return Math.max(
+		0,
+		...Object.entries(queues)
+			.filter(([deviceId]) => deviceId !== exceptDeviceId)
+			.map(([, queue]) => queue.removed[url] ?? 0),
+	);
+}
+
+/**
+ * Find the tabs of this device that another device unmarked after they were
+ * marked here. The latest change to a URL wins, so a tab marked again here
+ * after the other device unmarked it stays actionable.
+ * @returns {Promise<number[]>} IDs of the tabs to unmark
+ */
+export async function getRemotelyUnmarkedTabIds() {
+	const settings = await getSettings();
+	if (!(settings.queueSync ?? DEFAULTS.queueSync)) return [];
+
+	const deviceId = await getDeviceId();
+	const queues = await getSyncedQueues();
+	return Object.entries(await getCachedActionableTabs())
+		.filter(
+			([, { url, data }]) =>
+				getLatestRemoval(queues, url, deviceId) > data.markedAt,
+		)
+		.map(([tabId]) => Number(tabId));
+}
+
+/**
+ * @typedef {object} RemoteQueueItem
+ * @property {string} url
+ * @property {string} deviceName
+ * @property {import("./storage").SyncedQueueItem} item
+ */
+
+/**
+ * Get the actionable tabs of other devices that aren't actionable here, and
+ * weren't unmarked anywhere since they were marked
+ * @returns {Promise<RemoteQueueItem[]>} Newest first
+ */
+export async function getRemoteOnlyItems() {
+	const deviceId = await getDeviceId();
+	const queues = await getSyncedQueues();
+	const localUrls = new Set(
+		Object.values(await getCachedActionableTabs()).map(({ url }) => url),
+	);
+
+	/** @type {Map<string, RemoteQueueItem>} */
+	const remoteItems = new Map();
+	for (const [queueDeviceId, queue] of Object.entries(queues)) {
+		if (queueDeviceId === deviceId) continue;
+
+		for (const [url, item] of Object.entries(queue.items)) {
+			if (localUrls.has(url)) continue;
+			if (getLatestRemoval(queues, url) > item.markedAt) continue;
+			const known = remoteItems.get(url);
+			if (!known || known.item.markedAt < item.markedAt) {
+				remoteItems.set(url, { url, deviceName: queue.deviceName, item });
+			}
+		}
+	}
+	return [...remoteItems.values()].sort(
+		(a, b) => b.item.markedAt - a.item.markedAt,
+	);
+}
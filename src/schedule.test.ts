@@ -0,0 +1,180 @@
+/// <reference types="bun" />
+
+import { afterEach, describe, expect, setSystemTime, test } from "bun:test";
+import { getCatchUpRunCount, getDueRuns, MISSED_RUN_MS } from "./schedule";
+import { DEFAULTS, type Rule } from "./storage";
+
+/** Rule running every 30 minutes, read in UTC so the tests don't depend on the machine */
+const rule: Rule = {
+	...DEFAULTS.rules[0],
+	id: "rule",
+	cronSchedule: "*/30 * * * *",
+	timezone: "UTC",
+};
+
+/** Move the clock to a time and return it in epoch ms */
+function setNow(iso: string): number {
+	setSystemTime(new Date(iso));
+	return Date.now();
+}
+
+afterEach(() => {
+	setSystemTime();
+});
+
+describe("getDueRuns", () => {
+	test("runs a rule once when its scheduled run arrives", () => {
+		const handledRun = Date.parse("2025-01-06T09:00:00Z");
+		const now = setNow("2025-01-06T09:30:02Z");
+
+		const { dueRuns, handledRuns } = getDueRuns(
+			[rule],
+			{ rule: handledRun },
+			now,
+		);
+
+		expect(dueRuns.get("rule")).toEqual({
+			latestRun: Date.parse("2025-01-06T09:30:00Z"),
+		});
+		expect(handledRuns.rule).toBe(Date.parse("2025-01-06T09:30:00Z"));
+	});
+
+	test("doesn't run a rule again for a run it handled", () => {
+		const handledRun = Date.parse("2025-01-06T09:30:00Z");
+		const now = setNow("2025-01-06T09:45:00Z");
+
+		const { dueRuns, handledRuns } = getDueRuns(
+			[rule],
+			{ rule: handledRun },
+			now,
+		);
+
+		expect(dueRuns.size).toBe(0);
+		expect(handledRuns.rule).toBe(handledRun);
+	});
+
+	test("counts a run missed while the system was asleep", () => {
+		const handledRun = Date.parse("2025-01-06T09:00:00Z");
+		// Asleep from before 9:30 until 9:40, past MISSED_RUN_MS
+		const now = setNow("2025-01-06T09:40:00Z");
+		expect(now - Date.parse("2025-01-06T09:30:00Z")).toBeGreaterThan(
+			MISSED_RUN_MS,
+		);
+
+		const { dueRuns, handledRuns } = getDueRuns(
+			[rule],
+			{ rule: handledRun },
+			now,
+		);
+
+		expect(dueRuns.get("rule")).toEqual({
+			latestRun: Date.parse("2025-01-06T09:30:00Z"),
+			missedRuns: 1,
+		});
+		expect(handledRuns.rule).toBe(Date.parse("2025-01-06T09:30:00Z"));
+	});
+
+	test("counts every run missed while the browser was closed", () => {
+		const handledRun = Date.parse("2025-01-06T09:00:00Z");
+		const now = setNow("2025-01-06T12:10:00Z");
+
+		const { dueRuns, handledRuns } = getDueRuns(
+			[rule],
+			{ rule: handledRun },
+			now,
+		);
+
+		// 9:30 to 12:00
+		expect(dueRuns.get("rule")).toEqual({
+			latestRun: Date.parse("2025-01-06T12:00:00Z"),
+			missedRuns: 6,
+		});
+		expect(handledRuns.rule).toBe(Date.parse("2025-01-06T12:00:00Z"));
+
+		// The missed runs are handled, so the next wake doesn't count them again
+		const later = setNow("2025-01-06T12:20:00Z");
+		expect(getDueRuns([rule], handledRuns, later).dueRuns.size).toBe(0);
+	});
+
+	test("doesn't catch up on earlier runs after install", () => {
+		const now = setNow("2025-01-06T09:10:00Z");
+
+		const { dueRuns, handledRuns } = getDueRuns([rule], {}, now);
+
+		expect(dueRuns.size).toBe(0);
+		expect(handledRuns.rule).toBe(now);
+	});
+
+	test("counts runs missed since the last move after an update", () => {
+		// Versions before handled runs only kept the time of the last move
+		const now = setNow("2025-01-06T09:05:00Z");
+
+		const { dueRuns, handledRuns } = getDueRuns(
+			[{ ...rule, lastMoveTime: Date.parse("2025-01-06T07:30:10Z") }],
+			{},
+			now,
+		);
+
+		// 8:00 to 9:00
+		expect(dueRuns.get("rule")).toEqual({
+			latestRun: Date.parse("2025-01-06T09:00:00Z"),
+			missedRuns: 3,
+		});
+		expect(handledRuns.rule).toBe(Date.parse("2025-01-06T09:00:00Z"));
+	});
+
+	test("runs a new rule whose first run has just arrived", () => {
+		const now = setNow("2025-01-06T09:30:20Z");
+
+		const { dueRuns, handledRuns } = getDueRuns([rule], {}, now);
+
+		expect(dueRuns.get("rule")).toEqual({
+			latestRun: Date.parse("2025-01-06T09:30:00Z"),
+		});
+		expect(handledRuns.rule).toBe(Date.parse("2025-01-06T09:30:00Z"));
+	});
+
+	test("forgets the handled runs of deleted rules", () => {
+		const now = setNow("2025-01-06T09:10:00Z");
+
+		const { handledRuns } = getDueRuns(
+			[rule],
+			{ rule: Date.parse("2025-01-06T09:00:00Z"), deleted: 0 },
+			now,
+		);
+
+		expect(Object.keys(handledRuns)).toEqual(["rule"]);
+	});
+});
+
+describe("catching up after an update", () => {
+	// Versions before handled runs only kept the time of the last move
+	const lastMoveTime = Date.parse("2025-01-06T06:00:10Z");
+
+	/** Get how many runs a rule makes up for on the first start after an update */
+	function getCatchUpRuns(catchUp: Partial<Rule>): number | undefined {
+		const now = setNow("2025-01-06T09:10:00Z");
+		const updatedRule = { ...rule, ...catchUp, lastMoveTime };
+		const { dueRuns } = getDueRuns([updatedRule], {}, now);
+		const missedRuns = dueRuns.get("rule")?.missedRuns;
+		return missedRuns == null
+			? undefined
+			: getCatchUpRunCount(updatedRule, missedRuns);
+	}
+
+	test("runs once for the default policy", () => {
+		expect(getCatchUpRuns({})).toBe(1);
+	});
+
+	test("runs once per missed run up to the limit", () => {
+		// 6:30 to 9:00 are 6 missed runs
+		expect(getCatchUpRuns({ catchUpPolicy: "each" })).toBe(5);
+		expect(getCatchUpRuns({ catchUpPolicy: "each", catchUpLimit: 3 })).toBe(3);
+		expect(getCatchUpRuns({ catchUpPolicy: "each", catchUpLimit: 10 })).toBe(6);
+	});
+
+	test("skips or asks about the missed runs", () => {
+		expect(getCatchUpRuns({ catchUpPolicy: "skip" })).toBe(0);
+		expect(getCatchUpRuns({ catchUpPolicy: "ask" })).toBe(0);
+	});
+});
@@ -0,0 +1,382 @@
+/// <reference types="./ambient.d.ts" />
+
+import { useSignal } from "@preact/signals";
+import { type CronExpression, CronExpressionParser } from "cron-parser";
+import {
+	getRuleCronSchedules,
+	getRuleRunOnceTimes,
+	type Rule,
+} from "./storage";
+
+/**
+ * Parse a rule's cron schedule in its timezone, or in local time
+ * @throws {Error} If the cron expression is invalid
+ */
+export function parseSchedule(
+	cronSchedule: string,
+	timezone: string | undefined,
+	currentDate = new Date(),
+): CronExpression {
+	return CronExpressionParser.parse(cronSchedule, {
+		currentDate,
+		strict: false,
+		...(timezone && { tz: timezone }),
+	});
+}
+
+/**
+ * Get the first time after `after` that a rule runs, across its cron
+ * expressions and one-time runs, in epoch ms
+ * @returns The time, or null if the rule has no (valid) scheduled run
+ */
+export function getNextRunTime(rule: Rule, after: number): number | null {
+	const times = getRuleCronSchedules(rule).flatMap((cron) => {
+		try {
+			return [
+				parseSchedule(cron, rule.timezone, new Date(after)).next().getTime(),
+			];
+		} catch (_err) {
+			return [];
+		}
+	});
+	const nextRunOnceTime = getRuleRunOnceTimes(rule).find((t) => t > after);
+	if (nextRunOnceTime !== undefined) times.push(nextRunOnceTime);
+	return times.length > 0 ? Math.min(...times) : null;
+}
+
+/**
+ * Get the last time at or before `at` that a rule was scheduled to run,
+ * across its cron expressions and one-time runs, in epoch ms
+ * @returns The time, or null if the rule has no (valid) scheduled run
+ */
+function getLatestRunTime(rule: Rule, at: number): number | null {
+	const times = getRuleCronSchedules(rule).flatMap((cron) => {
+		try {
+			// prev() is strictly before the current date, so include `at` itself
+			return [
+				parseSchedule(cron, rule.timezone, new Date(at + 1))
+					.prev()
+					.getTime(),
+			];
+		} catch (_err) {
+			return [];
+		}
+	});
+	const latestRunOnceTime = getRuleRunOnceTimes(rule)
+		.filter((t) => t <= at)
+		.at(-1);
+	if (latestRunOnceTime !== undefined) times.push(latestRunOnceTime);
+	return times.length > 0 ? Math.max(...times) : null;
+}
+
+/** Most runs counted per cron expression, to keep minutely schedules cheap */
+const MAX_COUNTED_RUNS = 10_000;
+
+/**
+ * Count the scheduled runs of a rule after `from` and up to `to`, across its
+ * cron expressions and one-time runs
+ */
+function countRunsBetween(rule: Rule, from: number, to: number): number {
+	let count = getRuleRunOnceTimes(rule).filter(
+		(t) => t > from && t <= to,
+	).length;
+	for (const cron of getRuleCronSchedules(rule)) {
+		try {
+			const interval = parseSchedule(cron, rule.timezone, new Date(from));
+			for (let i = 0; i < MAX_COUNTED_RUNS && interval.hasNext(); i++) {
+				if (interval.next().getTime() > to) break;
+				count++;
+			}
+		} catch (_err) {}
+	}
+	return count;
+}
+
+/**
+ * How late a scheduled run has to be to count as missed, e.g. while the
+ * browser was closed or the system asleep, rather than just delayed
+ */
+export const MISSED_RUN_MS = 5 * 60_000;
+
+/**
+ * How far back a scheduled run of a rule without a handled run still counts
+ * as due, so a rule added just before its first run doesn't miss it
+ */
+const FIRST_RUN_GRACE_MS = 60_000;
+
+type DueRun = {
+	/** Latest scheduled run that has arrived, in epoch ms */
+	latestRun: number;
+	/**
+	 * Runs missed while the browser was closed or the system asleep, or
+	 * undefined if the run is only just due
+	 */
+	missedRuns?: number;
+};
+
+/**
+ * Find the rules with a scheduled run that has arrived since the latest run
+ * they handled. Rules that haven't handled a run yet count runs from their
+ * last move, e.g. after an update from a version without handled runs, or
+ * else, when they are new or the extension was just installed, only from
+ * shortly before now.
+ * @param handledRuns - Latest handled run of each rule, by rule ID
+ * @returns The due runs by rule ID, and the handled runs to store, which
+ * leave out deleted rules
+ */
+export function getDueRuns(
+	rules: Rule[],
+	handledRuns: Record<string, number>,
+	now: number,
+): { dueRuns: Map<string, DueRun>; handledRuns: Record<string, number> } {
+	const dueRuns = new Map<string, DueRun>();
+	const updatedHandledRuns: Record<string, number> = {};
+
+	for (const rule of rules) {
+		const handledRun =
+			handledRuns[rule.id] ?? rule.lastMoveTime ?? now - FIRST_RUN_GRACE_MS;
+		const latestRun = getLatestRunTime(rule, now);
+		if (latestRun == null || latestRun <= handledRun) {
+			updatedHandledRuns[rule.id] = handledRuns[rule.id] ?? now;
+			continue;
+		}
+		updatedHandledRuns[rule.id] = latestRun;
+
+		if (countRunsBetween(rule, handledRun, now - MISSED_RUN_MS) === 0) {
+			dueRuns.set(rule.id, { latestRun });
+		} else {
+			dueRuns.set(rule.id, {
+				latestRun,
+				missedRuns: countRunsBetween(rule, handledRun, now),
+			});
+		}
+	}
+
+	return { dueRuns, handledRuns: updatedHandledRuns };
+}
+
+/** Missed runs made up for with the "each" policy when the rule sets no limit */
+const DEFAULT_CATCH_UP_LIMIT = 5;
+
+/**
+ * Get how many runs to make up for, following the rule's catch-up policy
+ * @returns 0 for rules that skip missed runs or ask about them first
+ */
+export function getCatchUpRunCount(rule: Rule, missedRuns: number): number {
+	switch (rule.catchUpPolicy ?? "once") {
+		case "skip":
+		case "ask":
+			return 0;
+		case "each":
+			return Math.min(missedRuns, rule.catchUpLimit ?? DEFAULT_CATCH_UP_LIMIT);
+		default:
+			return 1;
+	}
+}
+
+/**
+ * Check whether a string is an IANA timezone the browser knows
+ */
+export function isValidTimezone(timezone: string): boolean {
+	try {
+		new Intl.DateTimeFormat(undefined, { timeZone: timezone });
+		return true;
+	} catch (_err) {
+		return false;
+	}
+}
+
+/**
+ * Get the times a cron schedule fires after a date, in epoch ms
+ * @returns The firing times before `until`, at most `limit` of them, or none if the schedule is empty or invalid
+ */
+function getRunTimes(
+	cronSchedule: string,
+	timezone: string | undefined,
+	from: Date,
+	until: number,
+	limit: number,
+): number[] {
+	if (!cronSchedule.trim()) return [];
+
+	try {
+		const interval = parseSchedule(cronSchedule, timezone, from);
+		const times: number[] = [];
+		while (times.length < limit && interval.hasNext()) {
+			const time = interval.next().getTime();
+			if (time >= until) break;
+			times.push(time);
+		}
+		return times;
+	} catch (_err) {
+		return [];
+	}
+}
+
+const PREVIEW_RANGES = {
+	day: { label: "Next 24 hours", ms: 24 * 60 * 60_000, ticks: 6 },
+	week: { label: "Next 7 days", ms: 7 * 24 * 60 * 60_000, ticks: 7 },
+};
+
+/** Firing times drawn per timeline row, to keep minutely schedules cheap */
+const MAX_MARKERS = 500;
+
+function formatRunTime(time: number): string {
+	return new Date(time).toLocaleString([], {
+		weekday: "short",
+		hour: "2-digit",
+		minute: "2-digit",
+	});
+}
+
+type TimelineRowProps = {
+	label: string;
+	times: number[];
+	start: number;
+	rangeMs: number;
+};
+
+function TimelineRow({ label, times, start, rangeMs }: TimelineRowProps) {
+	return (
+		<div class="timeline-row">
+			<span class="timeline-label">{label}</span>
+			<div class="timeline-track">
+				{times.map((time) => (
+					<span
+						key={time}
+						class="timeline-marker"
+						style={{ left: `${((time - start) / rangeMs) * 100}%` }}
+						title={formatRunTime(time)}
+					/>
+				))}
+			</div>
+		</div>
+	);
+}
+
+type SchedulePreviewProps = {
+	rules: Rule[];
+};
+
+/**
+ * Timeline of the upcoming runs of each rule and of all rules merged, with a
+ * list of the next runs
+ */
+export function SchedulePreview({ rules }: SchedulePreviewProps) {
+	const range = useSignal<keyof typeof PREVIEW_RANGES>("day");
+	const count = useSignal<number>(10);
+
+	const { label, ms: rangeMs, ticks } = PREVIEW_RANGES[range.value];
+	const now = new Date();
+	const start = now.getTime();
+	const end = start + rangeMs;
+
+	const ruleTimes = rules.map((rule, index) => ({
+		label: `Rule ${index + 1}`,
+		times: [
+			...new Set([
+				...getRuleCronSchedules(rule).flatMap((cron) =>
+					getRunTimes(cron, rule.timezone, now, end, MAX_MARKERS),
+				),
+				...getRuleRunOnceTimes(rule).filter((t) => t > start && t < end),
+			]),
+		].sort((a, b) => a - b),
+	}));
+	const mergedTimes = [...new Set(ruleTimes.flatMap((r) => r.times))].sort(
+		(a, b) => a - b,
+	);
+	const nextRuns = mergedTimes.slice(0, count.value).map((time) => ({
+		time,
+		rules: ruleTimes
+			.filter((r) => r.times.includes(time))
+			.map((r) => r.label)
+			.join(", "),
+	}));
+
+	return (
+		<fieldset>
+			<legend>Schedule preview</legend>
+			<div class="preview-controls">
+				<select
+					value={range.value}
+					onChange={(e) => {
+						range.value = e.currentTarget.value as keyof typeof PREVIEW_RANGES;
+					}}
+					aria-label="Range"
+				>
+					{Object.entries(PREVIEW_RANGES).map(([value, r]) => (
+						<option key={value} value={value}>
+							{r.label}
+						</option>
+					))}
+				</select>
+				<input
+					type="number"
+					min="1"
+					max="100"
+					value={count.value}
+					onChange={(e) => {
+						const value = Number.parseInt(e.currentTarget.value, 10);
+						if (value >= 1 && value <= 100) count.value = value;
+					}}
+					aria-label="Number of runs to list"
+				/>
+			</div>
+
+			<div class="timeline">
+				<div class="timeline-row">
+					<span class="timeline-label" />
+					<div class="timeline-axis">
+						{Array.from({ length: ticks }, (_, i) => {
+							const tick = start + (i * rangeMs) / ticks;
+							return (
+								<span key={tick} style={{ left: `${(i / ticks) * 100}%` }}>
+									{range.value === "day"
+										? new Date(tick).toLocaleTimeString([], {
+												hour: "2-digit",
+												minute: "2-digit",
+											})
+										: new Date(tick).toLocaleDateString([], {
+												weekday: "short",
+											})}
+								</span>
+							);
+						})}
+					</div>
+				</div>
+				{ruleTimes.map((r) => (
+					<TimelineRow
+						key={r.label}
+						label={r.label}
+						times={r.times}
+						start={start}
+						rangeMs={rangeMs}
+					/>
+				))}
+				<TimelineRow
+					label="All rules"
+					times={mergedTimes}
+					start={start}
+					rangeMs={rangeMs}
+				/>
+			</div>
+
+			<div class="result-list">
+				<strong>
+					Next {count.value} run(s) in the {label.toLocaleLowerCase()}
+				</strong>
+				{nextRuns.length === 0 ? (
+					<p>No runs scheduled</p>
+				) : (
+					<ol>
+						{nextRuns.map((run) => (
+							<li key={run.time}>
+								{formatRunTime(run.time)}: {run.rules}
+							</li>
+						))}
+					</ol>
+				)}
+			</div>
+		</fieldset>
+	);
+}
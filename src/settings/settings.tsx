@@ -3,17 +3,56 @@
 import { signal } from "@preact/signals";
 import { CronExpressionParser } from "cron-parser";
 import { render } from "preact";
+import { createBackup, getSettingsToImport, parseBackup } from "../backup";
+import { DEFERRED_RULES_KEY, getDeferredRules } from "../conditions.js";
 import { Countdown } from "../countdown";
-import { SnoozePanel } from "../snooze";
 import {
+	downloadFile,
+	getHistory,
+	HISTORY_KEY,
+	type HistoryEvent,
+	HistoryPanel,
+} from "../history";
+import { describeCron, parseSchedulePhrase } from "../natural";
+import { isValidUrlPattern, matchesUrlPattern } from "../patterns";
+import {
+	getDeviceId,
+	getRemoteOnlyItems,
+	getSyncedQueues,
+	type RemoteQueueItem,
+} from "../queuesync.js";
+import {
+	getNextRunTime,
+	isValidTimezone,
+	parseSchedule,
+	SchedulePreview,
+} from "../schedule";
+import {
+	formatSnoozeEnd,
+	getNextWeekdayMorning,
+	SnoozePanel,
+	snoozeRule,
+} from "../snooze";
+import {
+	type AutoMarkRule,
+	type ClosedActionableTab,
+	type CompletionRule,
 	DEFAULTS,
 	getMostRecentLastMoveTime,
 	getNextExecutingRulesWithParser,
+	getRuleCronSchedules,
 	getSettings,
+	isQueueSyncKey,
 	type Rule,
 	type Settings,
 } from "../storage";
-import { getContextMenuTitle } from "../tab.js";
+import {
+	getContextMenuTitle,
+	getRecentlyClosedTabs,
+	RECENTLY_CLOSED_KEY,
+	supportsTabGroups,
+	TAB_CACHE_KEY,
+} from "../tab.js";
 
 if (typeof browser === "undefined") globalThis.browser = chrome;
 type Status = {
@@ -27,6 +66,22 @@ type Status = {
 	nextRules: string;
 };
 
+const LOCAL_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+const TIMEZONES = Intl.supportedValuesOf("timeZone");
+const SCHEDULE_EXAMPLES = [
+	"every 30 minutes",
+	"hourly",
+	"every 2 hours",
+	"every weekday at 9am",
+	"every weekday at 9am and 1pm",
+	"every 45 minutes during work hours",
+	"every 15 minutes between 9am and 6pm",
+	"mon-fri at 9:00 and 14:30",
+	"weekends at 10am",
+	"tuesday at 10am and thursday at 2pm",
+	"daily at noon",
+];
+
 const initialSettings = await getSettings();
 
 const settings = signal<Settings>(initialSettings);
@@ -41,37 +96,41 @@ const status = signal<Status>({
 const ruleNextMoveTimes = signal<Record<string, number | null>>({});
 
 const isLoading = signal<boolean>(true);
+const newTagName = signal<string>("");
+const recentCompletions = signal<HistoryEvent[]>([]);
+const recentlyClosedTabs = signal<ClosedActionableTab[]>([]);
+const remoteQueueItems = signal<RemoteQueueItem[]>([]);
+/** Number of this device's tabs left out of the synced queue by the quota */
+const unsyncedTabCount = signal<number>(0);
+const commands = signal<
+	{ name: string; description: string; shortcut: string }[]
+>([]);
+/** Rules waiting for their conditions, with the condition each waits for */
+const deferredRules = signal<Record<string, string>>({});
+/** Timezone input per rule ID, kept while it isn't a valid timezone yet */
+const timezoneDrafts = signal<Record<string, string>>({});
+/** One-time run being entered per rule ID, as a datetime-local value */
+const runOnceDrafts = signal<Record<string, string>>({});
+const reopenMissingTabs = signal<boolean>(true);
+const backupMessage = signal<{ text: string; isError: boolean } | null>(null);
+/** Open tabs matching each auto-mark rule, filled in when the rule is tested */
+const autoMarkTestResults = signal<
+	Record<string, { title: string; url: string }[]>
+>({});
 const saveStatus = signal<"idle" | "saving" | "saved" | "error">("idle");
 
-function getNextScheduledTime(
-	cronSchedule: string | undefined,
-	currentDate = new Date(),
-): number | null {
-	if (!cronSchedule?.trim()) return null;
-
-	try {
-		const interval = CronExpressionParser.parse(cronSchedule, {
-			currentDate,
-			strict: false,
-		});
-		return interval.next().toDate().getTime();
-	} catch (_err) {
-		return null;
-	}
-}
-
 function getRuleNextMoveTimes(
 	rules: Rule[],
 	nextMoveTime: number | null,
 ): Record<string, number | null> {
-	const now = new Date();
+	const now = Date.now();
 	const nextRuleIndices = new Set(
 		getNextExecutingRulesWithParser(rules, CronExpressionParser),
 	);
 
 	return Object.fromEntries(
 		rules.map((rule, index) => {
-			const nextScheduledTime = getNextScheduledTime(rule.cronSchedule, now);
+			const nextScheduledTime = getNextRunTime(rule, now);
 			const nextTime =
 				nextMoveTime != null && nextRuleIndices.has(index)
 					? nextMoveTime
@@ -83,7 +142,7 @@ function getRuleNextMoveTimes(
 }
 
 async function updateStatus(): Promise<void> {
-	const tabs = await browser.tabs.query({ currentWindow: true });
+	const tabs = await browser.tabs.query({});
 
 	let actionableCount = 0;
 	for (const tab of tabs) {
@@ -131,6 +190,22 @@ async function updateStatus(): Promise<void> {
 	isLoading.value = false;
 }
 
+async function updateRecentCompletions(): Promise<void> {
+	const history = await getHistory();
+	recentCompletions.value = history
+		.filter((event) => event.type === "complete")
+		.slice(-5)
+		.reverse();
+}
+
+async function updateCommandShortcuts(): Promise<void> {
+	commands.value = (await browser.commands.getAll()).map((command) => ({
+		name: command.name ?? "",
+		description: command.description ?? "",
+		shortcut: command.shortcut ?? "",
+	}));
+}
+
 async function refreshNextMoveTime(): Promise<void> {
 	const alarm = await browser.alarms.get("moveActionableTabs");
 	const nextMoveTime = alarm?.scheduledTime ? alarm.scheduledTime : null;
@@ -158,7 +233,104 @@ async function clearAllActionableTabs(): Promise<void> {
 	}
 }
 
-let debounceTimeout: number | null = null;
+async function updateRemoteQueueItems(): Promise<void> {
+	remoteQueueItems.value = await getRemoteOnlyItems();
+	const queue = (await getSyncedQueues())[await getDeviceId()];
+	unsyncedTabCount.value = queue?.truncated ?? 0;
+}
+
+async function openRemoteTab(remoteItem: RemoteQueueItem): Promise<void> {
+	try {
+		const response = (await browser.runtime.sendMessage({
+			action: "openRemoteTab",
+			url: remoteItem.url,
+			item: remoteItem.item,
+		})) as { success: boolean };
+		if (response.success) {
+			await updateStatus();
+		}
+	} catch (err) {
+		console.error("Error opening synced tab:", err);
+	}
+}
+
+async function reopenClosedTab(tab: ClosedActionableTab): Promise<void> {
+	try {
+		const response = (await browser.runtime.sendMessage({
+			action: "reopenClosedTab",
+			tab,
+		})) as { success: boolean };
+		if (response.success) {
+			await updateStatus();
+		}
+	} catch (err) {
+		console.error("Error reopening closed tab:", err);
+	}
+}
+
+async function exportBackup(): Promise<void> {
+	const backup = await createBackup();
+	downloadFile(
+		`actionable-tabs-${backup.exportedAt.slice(0, 10)}.json`,
+		"application/json",
+		JSON.stringify(backup, null, 2),
+	);
+	backupMessage.value = {
+		text: `Exported ${backup.settings.rules?.length ?? 0} rule(s) and ${backup.tabs.length} actionable tab(s)`,
+		isError: false,
+	};
+}
+
+async function importBackup(file: File): Promise<void> {
+	try {
+		const backup = parseBackup(await file.text());
+		if (
+			!confirm(
+				`Import ${backup.tabs.length} actionable tab(s) and replace all current settings with the backup from ${new Date(backup.exportedAt).toLocaleString()}?`,
+			)
+		) {
+			return;
+		}
+
+		// Replace rather than merge, so legacy backups go through the migration in
+		// getSettings; the synced queues of other devices are kept
+		await browser.storage.sync.remove(
+			Object.keys(await browser.storage.sync.get()).filter(
+				(key) => !isQueueSyncKey(key),
+			),
+		);
+		await browser.storage.sync.set(getSettingsToImport(backup));
+		settings.value = await getSettings();
+
+		const response = (await browser.runtime.sendMessage({
+			action: "importActionableTabs",
+			tabs: backup.tabs,
+			reopenMissing: reopenMissingTabs.value,
+		})) as {
+			success: boolean;
+			remarked?: number;
+			reopened?: number;
+			skipped?: number;
+		};
+		if (!response.success) {
+			throw new Error("Settings were imported, but the tabs could not be");
+		}
+
+		backupMessage.value = {
+			text: `Imported settings; ${response.remarked} tab(s) re-marked, ${response.reopened} reopened, ${response.skipped} skipped`,
+			isError: false,
+		};
+		await updateStatus();
+	} catch (err) {
+		console.error("Error importing backup:", err);
+		backupMessage.value = {
+			text: err instanceof Error ? err.message : "Import failed",
+			isError: true,
+		};
+	}
+}
+
+let debounceTimeout: ReturnType<typeof setTimeout> | null = null;
 let pendingChanges: Partial<Settings> = {};
 
 function debouncedSave(): void {
@@ -201,6 +373,72 @@ function updateRule(index: number, updates: Partial<Rule>): void {
 	autoSaveRules(newRules);
 }
 
+/**
+ * Get the schedule to show in a rule's schedule input: what the user typed, or
+ * the cron expressions of rules saved before schedule phrases existed
+ */
+function getSchedulePhrase(rule: Rule): string {
+	return rule.schedulePhrase ?? getRuleCronSchedules(rule).join("; ");
+}
+
+/**
+ * Get the problems with a rule's schedule, per field of the phrase or cron
+ * expression, including crons the rule's timezone can't read
+ */
+function getScheduleErrors(rule: Rule): string[] {
+	const { crons, errors } = parseSchedulePhrase(getSchedulePhrase(rule));
+	if (errors.length > 0) return errors;
+
+	return crons.flatMap((cron) => {
+		try {
+			parseSchedule(cron, rule.timezone);
+			return [];
+		} catch (err) {
+			return [`"${cron}": ${err instanceof Error ? err.message : "invalid"}`];
+		}
+	});
+}
+
+/**
+ * Store the schedule the user typed, and the cron expressions it compiles to
+ * once it is valid
+ */
+function updateSchedule(index: number, schedulePhrase: string): void {
+	const { crons, errors } = parseSchedulePhrase(schedulePhrase);
+	if (errors.length > 0) {
+		updateRule(index, { schedulePhrase });
+		return;
+	}
+	updateRule(index, {
+		schedulePhrase,
+		cronSchedule: crons[0] ?? "",
+		extraCronSchedules: crons.length > 1 ? crons.slice(1) : undefined,
+	});
+}
+
+/**
+ * Add the one-time run entered for a rule, if it is in the future
+ */
+function addRunOnce(index: number): void {
+	const rule = settings.value.rules[index];
+	const time = new Date(runOnceDrafts.value[rule.id] ?? "").getTime();
+	if (!(time > Date.now())) return;
+
+	updateRule(index, {
+		runOnceAt: [...(rule.runOnceAt ?? []), new Date(time).toISOString()],
+	});
+	runOnceDrafts.value = { ...runOnceDrafts.value, [rule.id]: "" };
+}
+
+function removeRunOnce(index: number, runOnceAt: string): void {
+	const remaining = (settings.value.rules[index].runOnceAt ?? []).filter(
+		(time) => time !== runOnceAt,
+	);
+	updateRule(index, {
+		runOnceAt: remaining.length > 0 ? remaining : undefined,
+	});
+}
+
 function addRule(): void {
 	const newRule: Rule = {
 		id: crypto.randomUUID(),
@@ -210,6 +448,7 @@ function addRule(): void {
 		moveCount: 1,
 		moveDirection: "left",
 		showNotifications: true,
+		windowScope: "focused",
 	};
 	const newRules = [...settings.value.rules, newRule];
 	autoSaveRules(newRules);
@@ -226,6 +465,109 @@ function removeRule(index: number): void {
 	autoSaveRules(newRules);
 }
 
+function addTag(name: string): void {
+	const tag = name.trim();
+	const tags = settings.value.tags ?? DEFAULTS.tags;
+	if (!tag || tags.includes(tag)) return;
+	queueSettingChange("tags", [...tags, tag]);
+}
+
+function removeTag(tag: string): void {
+	queueSettingChange(
+		"tags",
+		(settings.value.tags ?? DEFAULTS.tags).filter((t) => t !== tag),
+	);
+	// Drop the tag from rule filters so those rules don't end up matching nothing
+	autoSaveRules(
+		settings.value.rules.map((rule) =>
+			rule.tagFilter?.includes(tag)
+				? { ...rule, tagFilter: rule.tagFilter.filter((t) => t !== tag) }
+				: rule,
+		),
+	);
+}
+
+function updateAutoMarkRule(
+	index: number,
+	updates: Partial<AutoMarkRule>,
+): void {
+	const autoMarkRules = [
+		...(settings.value.autoMarkRules ?? DEFAULTS.autoMarkRules),
+	];
+	autoMarkRules[index] = { ...autoMarkRules[index], ...updates };
+	queueSettingChange("autoMarkRules", autoMarkRules);
+}
+
+function addAutoMarkRule(): void {
+	const newRule: AutoMarkRule = {
+		id: crypto.randomUUID(),
+		pattern: "",
+		patternType: "glob",
+		enabled: true,
+	};
+	queueSettingChange("autoMarkRules", [
+		...(settings.value.autoMarkRules ?? DEFAULTS.autoMarkRules),
+		newRule,
+	]);
+}
+
+function removeAutoMarkRule(index: number): void {
+	queueSettingChange(
+		"autoMarkRules",
+		(settings.value.autoMarkRules ?? DEFAULTS.autoMarkRules).filter(
+			(_, i) => i !== index,
+		),
+	);
+}
+
+async function testAutoMarkRule(rule: AutoMarkRule): Promise<void> {
+	const tabs = await browser.tabs.query({});
+	const matches = tabs
+		.filter(
+			(tab) =>
+				tab.url && matchesUrlPattern(tab.url, rule.pattern, rule.patternType),
+		)
+		.map((tab) => ({ title: tab.title ?? "", url: tab.url ?? "" }));
+	autoMarkTestResults.value = {
+		...autoMarkTestResults.peek(),
+		[rule.id]: matches,
+	};
+}
+
+function updateCompletionRule(
+	index: number,
+	updates: Partial<CompletionRule>,
+): void {
+	const completionRules = [
+		...(settings.value.completionRules ?? DEFAULTS.completionRules),
+	];
+	completionRules[index] = { ...completionRules[index], ...updates };
+	queueSettingChange("completionRules", completionRules);
+}
+
+function addCompletionRule(): void {
+	const newRule: CompletionRule = {
+		id: crypto.randomUUID(),
+		enabled: true,
+		type: "url",
+		pattern: "",
+		patternType: "glob",
+	};
+	queueSettingChange("completionRules", [
+		...(settings.value.completionRules ?? DEFAULTS.completionRules),
+		newRule,
+	]);
+}
+
+function removeCompletionRule(index: number): void {
+	queueSettingChange(
+		"completionRules",
+		(settings.value.completionRules ?? DEFAULTS.completionRules).filter(
+			(_, i) => i !== index,
+		),
+	);
+}
+
 function moveRule(index: number, direction: "up" | "down"): void {
 	const newRules = [...settings.value.rules];
 	const rule = newRules[index];
@@ -236,17 +578,53 @@ function moveRule(index: number, direction: "up" | "down"): void {
 }
 
 updateStatus();
+updateRecentCompletions();
+getRecentlyClosedTabs().then((tabs) => {
+	recentlyClosedTabs.value = tabs;
+});
+updateRemoteQueueItems();
+updateCommandShortcuts();
+getDeferredRules().then((rules) => {
+	deferredRules.value = rules;
+});
+// Shortcuts are changed on the browser's own page, so re-read them on return
+window.addEventListener("focus", () => {
+	void updateCommandShortcuts();
+	getDeferredRules().then((rules) => {
+		deferredRules.value = rules;
+	});
+});
 setInterval(() => {
 	void refreshNextMoveTime();
 }, 1_000);
 
 browser.storage.onChanged.addListener(async (changes, areaName) => {
-	if (areaName === "sync" && changes) {
+	if (areaName === "sync" && Object.keys(changes).some(isQueueSyncKey)) {
+		await updateRemoteQueueItems();
+	}
+	// Synced queues change with every mark on any device and are no settings
+	if (areaName === "sync" && !Object.keys(changes).every(isQueueSyncKey)) {
 		const s = await getSettings();
 		settings.value = s;
 		await updateStatus();
 	}
 });
+browser.storage.onChanged.addListener((changes, areaName) => {
+	if (areaName === "local" && HISTORY_KEY in changes) {
+		void updateRecentCompletions();
+	}
+	if (areaName === "local" && TAB_CACHE_KEY in changes) {
+		void updateRemoteQueueItems();
+	}
+	if (areaName === "local" && RECENTLY_CLOSED_KEY in changes) {
+		recentlyClosedTabs.value =
+			(changes[RECENTLY_CLOSED_KEY].newValue as ClosedActionableTab[]) ?? [];
+	}
+	if (areaName === "local" && DEFERRED_RULES_KEY in changes) {
+		deferredRules.value =
+			(changes[DEFERRED_RULES_KEY].newValue as Record<string, string>) ?? {};
+	}
+});
 browser.tabs.onCreated.addListener(updateStatus);
 browser.tabs.onRemoved.addListener(updateStatus);
 browser.tabs.onUpdated.addListener(updateStatus);
@@ -313,78 +691,128 @@ function App() {
 							</div>
 
 							<label>
-								Schedule Preset
-								<select
-									value={(() => {
-										const presets = [
-											"",
-											"*/1 * * * *",
-											"*/5 * * * *",
-											"*/15 * * * *",
-											"*/30 * * * *",
-											"0 * * * *",
-											"0 */2 * * *",
-											"0 */4 * * *",
-											"0 */6 * * *",
-											"0 0 * * *",
-											"0 12 * * *",
-											"0 0 * * 0",
-											"0 0 1 * *",
-										];
-										return presets.includes(rule.cronSchedule)
-											? rule.cronSchedule
-											: "custom";
-									})()}
-									onChange={(e) => {
-										const value = e.currentTarget.value;
-										if (value !== "custom") {
-											updateRule(index, { cronSchedule: value });
-										}
+								Schedule
+								<input
+									type="text"
+									list="schedule-examples"
+									value={getSchedulePhrase(rule)}
+									onInput={(e) => {
+										updateSchedule(index, e.currentTarget.value);
 									}}
-								>
-									<option value="">No scheduled run</option>
-									<option value="*/1 * * * *">Every minute</option>
-									<option value="*/5 * * * *">Every 5 minutes</option>
-									<option value="*/15 * * * *">Every 15 minutes</option>
-									<option value="*/30 * * * *">Every 30 minutes</option>
-									<option value="0 * * * *">Hourly</option>
-									<option value="0 */2 * * *">Every 2 hours</option>
-									<option value="0 */4 * * *">Every 4 hours</option>
-									<option value="0 */6 * * *">Every 6 hours</option>
-									<option value="0 0 * * *">Daily (midnight)</option>
-									<option value="0 12 * * *">Daily (noon)</option>
-									<option value="0 0 * * 0">Weekly (Sunday midnight)</option>
-									<option value="0 0 1 * *">Monthly (1st of month)</option>
-									<option value="custom">Custom</option>
-								</select>
+									class={getScheduleErrors(rule).length > 0 ? "invalid" : ""}
+									placeholder="every weekday at 9am, */30 * * * *, or leave empty for no scheduled run"
+								/>
+								{(() => {
+									const errors = getScheduleErrors(rule);
+									if (errors.length > 0) {
+										return (
+											<ul class="schedule-errors">
+												{errors.map((error) => (
+													<li key={error}>{error}</li>
+												))}
+											</ul>
+										);
+									}
+									const crons = getRuleCronSchedules(rule);
+									return crons.length === 0 ? (
+										<small>
+											{rule.runOnceAt?.length
+												? "No recurring schedule"
+												: "No scheduled run"}
+										</small>
+									) : (
+										<ul class="schedule-description">
+											{crons.map((cron) => (
+												<li key={cron}>
+													{describeCron(cron) ?? "Custom schedule"}{" "}
+													<code>{cron}</code>
+												</li>
+											))}
+										</ul>
+									);
+								})()}
 								<small>
-									Choose a common schedule or enter custom cron below
+									A phrase such as "every 45 minutes during work hours" or a
+									cron expression. Combine schedules with ";"
 								</small>
 							</label>
 
+							<div class="run-once">
+								One-time runs
+								{rule.runOnceAt?.length ? (
+									<ul>
+										{[...rule.runOnceAt]
+											.sort((a, b) => Date.parse(a) - Date.parse(b))
+											.map((runOnceAt) => (
+												<li key={runOnceAt}>
+													{new Date(runOnceAt).toLocaleString()}
+													<button
+														type="button"
+														class="link"
+														onClick={() => removeRunOnce(index, runOnceAt)}
+													>
+														Remove
+													</button>
+												</li>
+											))}
+									</ul>
+								) : null}
+								<div class="run-once-add">
+									<input
+										type="datetime-local"
+										value={runOnceDrafts.value[rule.id] ?? ""}
+										onInput={(e) => {
+											runOnceDrafts.value = {
+												...runOnceDrafts.value,
+												[rule.id]: e.currentTarget.value,
+											};
+										}}
+										aria-label="One-time run"
+									/>
+									<button
+										type="button"
+										onClick={() => addRunOnce(index)}
+										disabled={
+											!(
+												new Date(runOnceDrafts.value[rule.id] ?? "").getTime() >
+												Date.now()
+											)
+										}
+									>
+										Add
+									</button>
+								</div>
+								<small>
+									Run the rule once at a set time, in this computer's timezone,
+									on top of its schedule. Each run is removed once it is done
+								</small>
+							</div>
+
 							<label>
-								Cron Expression
+								Timezone
 								<input
 									type="text"
-									value={rule.cronSchedule}
+									list="timezones"
+									value={timezoneDrafts.value[rule.id] ?? rule.timezone ?? ""}
 									onInput={(e) => {
-										updateRule(index, { cronSchedule: e.currentTarget.value });
+										const value = e.currentTarget.value.trim();
+										timezoneDrafts.value = {
+											...timezoneDrafts.value,
+											[rule.id]: value,
+										};
+										if (!value || isValidTimezone(value)) {
+											updateRule(index, { timezone: value || undefined });
+										}
 									}}
 									class={(() => {
-										if (!rule.cronSchedule || !rule.cronSchedule.trim())
-											return "";
-										try {
-											CronExpressionParser.parse(rule.cronSchedule.trim());
-											return "";
-										} catch (_err) {
-											return "invalid";
-										}
+										const draft = timezoneDrafts.value[rule.id];
+										return draft && !isValidTimezone(draft) ? "invalid" : "";
 									})()}
-									placeholder="*/30 * * * * or leave empty for no scheduled run"
+									placeholder={`Local time (${LOCAL_TIMEZONE})`}
 								/>
 								<small>
-									*/15 * * * * = every 15min | 0 * * * * = hourly | empty = no
-									scheduled run
+									IANA timezone the schedule is read in, e.g. America/New_York.
+									Empty = this computer's timezone
 								</small>
 							</label>
 
@@ -393,11 +821,7 @@ function App() {
 								<select
 									value={rule.queueMode}
 									onChange={(e) => {
-										const value = e.currentTarget.value as
-											| "oldest"
-											| "newest"
-											| "leftmost"
-											| "rightmost";
+										const value = e.currentTarget.value as Rule["queueMode"];
 										updateRule(index, { queueMode: value });
 									}}
 								>
@@ -405,6 +829,12 @@ function App() {
 									<option value="newest">Newest (LIFO)</option>
 									<option value="leftmost">Leftmost</option>
 									<option value="rightmost">Rightmost</option>
+									<option value="priority-oldest">
+										Highest priority, then oldest
+									</option>
+									<option value="priority-leftmost">
+										Highest priority, then leftmost
+									</option>
 								</select>
 								<small>How to choose which actionable tabs to move</small>
 							</label>
@@ -427,20 +857,296 @@ function App() {
 							</label>
 
 							<label>
-								Move Direction
+								Move To
 								<select
-									value={rule.moveDirection}
+									value={rule.moveTarget ?? "edge"}
 									onChange={(e) => {
-										const value = e.currentTarget.value as "left" | "right";
-										updateRule(index, { moveDirection: value });
+										const value = e.currentTarget.value as Rule["moveTarget"];
+										updateRule(index, { moveTarget: value });
 									}}
 								>
-									<option value="left">Left (after pinned tabs)</option>
-									<option value="right">Right (end of tab strip)</option>
+									<option value="edge">Edge of the tab strip</option>
+									<option value="position">A fixed position</option>
+									<option value="active">Next to the active tab</option>
+									<option value="window">The "Actionable" window</option>
+									<option value="push-others">
+										Edge, by moving other tabs away
+									</option>
 								</select>
-								<small>Where to move actionable tabs</small>
+								<small>
+									{rule.moveTarget === "window"
+										? "Pulled tabs are gathered in a window of their own, opened when needed"
+										: rule.moveTarget === "push-others"
+											? "Pulled tabs stay put; the non-actionable tabs between them and the edge move to the other end"
+											: "Where to move actionable tabs"}
+								</small>
 							</label>
 
+							{rule.moveTarget === "position" ? (
+								<label>
+									Position
+									<input
+										type="number"
+										value={rule.targetPosition ?? 1}
+										onChange={(e) => {
+											const value = parseInt(e.currentTarget.value, 10);
+											if (value >= 1) {
+												updateRule(index, { targetPosition: value });
+											}
+										}}
+										min="1"
+									/>
+									<small>1 = the first tab after pinned tabs</small>
+								</label>
+							) : rule.moveTarget === "active" ? (
+								<label>
+									Tabs from the active tab
+									<input
+										type="number"
+										value={rule.activeTabOffset ?? 1}
+										onChange={(e) => {
+											const value = parseInt(e.currentTarget.value, 10);
+											if (Number.isInteger(value) && value !== 0) {
+												updateRule(index, { activeTabOffset: value });
+											}
+										}}
+									/>
+									<small>
+										1 = right after the active tab, -1 = right before it
+									</small>
+								</label>
+							) : (
+								<label>
+									Move Direction
+									<select
+										value={rule.moveDirection}
+										onChange={(e) => {
+											const value = e.currentTarget.value as "left" | "right";
+											updateRule(index, { moveDirection: value });
+										}}
+									>
+										<option value="left">Left (after pinned tabs)</option>
+										<option value="right">Right (end of tab strip)</option>
+									</select>
+									<small>Which edge to move actionable tabs to</small>
+								</label>
+							)}
+
+							<div class="rule-conditions">
+								After pulling
+								<label>
+									<input
+										type="checkbox"
+										checked={rule.focusPulledTab ?? false}
+										onChange={(e) => {
+											updateRule(index, {
+												focusPulledTab: e.currentTarget.checked,
+											});
+										}}
+									/>
+									Switch to the first pulled tab
+								</label>
+								<label>
+									<input
+										type="checkbox"
+										checked={rule.pinPulledTabs ?? false}
+										onChange={(e) => {
+											updateRule(index, {
+												pinPulledTabs: e.currentTarget.checked,
+											});
+										}}
+									/>
+									Pin pulled tabs until I've visited them
+								</label>
+								<label>
+									<input
+										type="checkbox"
+										checked={rule.reloadStaleMinutes != null}
+										onChange={(e) => {
+											updateRule(index, {
+												reloadStaleMinutes: e.currentTarget.checked
+													? 60
+													: undefined,
+											});
+										}}
+									/>
+									Reload tabs unloaded or not visited for
+									<input
+										type="number"
+										value={rule.reloadStaleMinutes ?? 60}
+										disabled={rule.reloadStaleMinutes == null}
+										onChange={(e) => {
+											const value = parseInt(e.currentTarget.value, 10);
+											if (value >= 1) {
+												updateRule(index, { reloadStaleMinutes: value });
+											}
+										}}
+										min="1"
+										aria-label="Minutes before a tab counts as stale"
+									/>
+									minutes
+								</label>
+							</div>
+
+							<label>
+								Windows
+								<select
+									value={rule.windowScope ?? "focused"}
+									onChange={(e) => {
+										const value = e.currentTarget.value as
+											| "focused"
+											| "each"
+											| "gather";
+										updateRule(index, { windowScope: value });
+									}}
+								>
+									<option value="focused">Focused window only</option>
+									<option value="each">Every window independently</option>
+									<option value="gather">Gather into focused window</option>
+								</select>
+								<small>Which windows to pull actionable tabs in</small>
+							</label>
+
+							<div class="tag-filter">
+								Only tabs tagged
+								{(settings.value.tags ?? DEFAULTS.tags).length === 0 ? (
+									<small>Add tags below to limit this rule to them</small>
+								) : (
+									<>
+										<div class="tag-list">
+											{(settings.value.tags ?? DEFAULTS.tags).map((tag) => (
+												<label key={tag} class="tag">
+													<input
+														type="checkbox"
+														checked={rule.tagFilter?.includes(tag) ?? false}
+														onChange={(e) => {
+															const tagFilter = rule.tagFilter ?? [];
+															updateRule(index, {
+																tagFilter: e.currentTarget.checked
+																	? [...tagFilter, tag]
+																	: tagFilter.filter((t) => t !== tag),
+															});
+														}}
+													/>
+													{tag}
+												</label>
+											))}
+										</div>
+										<small>No tags selected = all actionable tabs</small>
+									</>
+								)}
+							</div>
+
+							<div class="rule-conditions">
+								Conditions
+								<label>
+									<input
+										type="checkbox"
+										checked={rule.deferWhileInUse ?? false}
+										onChange={(e) => {
+											updateRule(index, {
+												deferWhileInUse: e.currentTarget.checked,
+											});
+										}}
+									/>
+									Wait while I'm using the browser (any keyboard or mouse input
+									in the last 15 seconds)
+								</label>
+								<label>
+									<input
+										type="checkbox"
+										checked={rule.requireFocusedWindow ?? false}
+										onChange={(e) => {
+											updateRule(index, {
+												requireFocusedWindow: e.currentTarget.checked,
+											});
+										}}
+									/>
+									Only when a browser window is focused
+								</label>
+								<label>
+									System state
+									<select
+										value={rule.idleCondition ?? "any"}
+										onChange={(e) => {
+											const value = e.currentTarget.value;
+											updateRule(index, {
+												idleCondition:
+													value === "active" || value === "idle"
+														? value
+														: undefined,
+											});
+										}}
+									>
+										<option value="any">Any</option>
+										<option value="active">Only while in use</option>
+										<option value="idle">Only while idle or locked</option>
+									</select>
+								</label>
+								<label>
+									When conditions aren't met
+									<select
+										value={rule.unmetConditionPolicy ?? "defer"}
+										onChange={(e) => {
+											updateRule(index, {
+												unmetConditionPolicy: e.currentTarget.value as
+													| "defer"
+													| "skip",
+											});
+										}}
+									>
+										<option value="defer">Run as soon as they are</option>
+										<option value="skip">Skip the run</option>
+									</select>
+								</label>
+								<small>
+									Conditions apply to scheduled runs, not to pulling by hand
+								</small>
+							</div>
+
+							<div class="rule-conditions">
+								Missed runs
+								<label>
+									While the browser was closed or the system asleep
+									<select
+										value={rule.catchUpPolicy ?? "once"}
+										onChange={(e) => {
+											updateRule(index, {
+												catchUpPolicy: e.currentTarget
+													.value as Rule["catchUpPolicy"],
+											});
+										}}
+									>
+										<option value="skip">Skip them</option>
+										<option value="once">Run once</option>
+										<option value="each">Run once per missed run</option>
+										<option value="ask">Ask me with a notification</option>
+									</select>
+								</label>
+								{rule.catchUpPolicy === "each" && (
+									<label>
+										At most
+										<input
+											type="number"
+											value={rule.catchUpLimit ?? 5}
+											onChange={(e) => {
+												const value = parseInt(e.currentTarget.value, 10);
+												if (value >= 1 && value <= 20) {
+													updateRule(index, { catchUpLimit: value });
+												}
+											}}
+											min="1"
+											max="20"
+										/>
+									</label>
+								)}
+								<small>
+									Runs more than 5 minutes late count as missed. Each missed run
+									made up for runs the rule once. With notifications on,
+									catch-ups that pull tabs are summarized in a notification
+								</small>
+							</div>
+
 							<label>
 								<input
 									type="checkbox"
@@ -465,6 +1171,10 @@ function App() {
 
 							<div class="rule-next-schedule">
 								<strong>Next scheduled move:</strong> {(() => {
+									const deferredReason = deferredRules.value[rule.id];
+									if (deferredReason) {
+										return `Deferred until conditions are met (${deferredReason})`;
+									}
 									const nextMoveTime = ruleNextMoveTimes.value[rule.id];
 									return nextMoveTime != null ? (
 										<Countdown target={nextMoveTime} />
@@ -474,11 +1184,78 @@ function App() {
 								})()}
 							</div>
 
+							<div class="rule-snooze">
+								{settings.value.ruleSnoozes?.[rule.id] &&
+								new Date(settings.value.ruleSnoozes[rule.id]).getTime() >
+									Date.now() ? (
+									<>
+										Snoozed until{" "}
+										{formatSnoozeEnd(
+											new Date(settings.value.ruleSnoozes[rule.id]).getTime(),
+										)}
+										<button
+											type="button"
+											class="link"
+											onClick={() => snoozeRule(rule.id, undefined)}
+										>
+											Cancel
+										</button>
+									</>
+								) : (
+									<>
+										<button
+											type="button"
+											onClick={() =>
+												snoozeRule(
+													rule.id,
+													Date.now() +
+														(settings.value.snoozeMinutes ??
+															DEFAULTS.snoozeMinutes) *
+															60_000,
+												)
+											}
+										>
+											Snooze rule
+										</button>
+										<button
+											type="button"
+											onClick={() =>
+												snoozeRule(rule.id, getNextWeekdayMorning())
+											}
+										>
+											Until next weekday 9:00
+										</button>
+									</>
+								)}
+							</div>
+
 							<div class="context-menu-info">
 								<strong>Context Menu:</strong> Right-click on the Actionable
 								Tabs icon and select "
-								{getContextMenuTitle(rule.queueMode, rule.moveDirection)}" to
-								run the rule on one tab on demand.
+								{getContextMenuTitle(
+									rule.queueMode,
+									rule.moveDirection,
+									rule.windowScope,
+									rule.tagFilter,
+									rule,
+								)}
+								" to run the rule on one tab on demand.
+							</div>
+
+							<div class="rule-shortcut">
+								<strong>Keyboard shortcut:</strong> {(() => {
+									const command = commands.value.find(
+										(c) => c.name === `pull-rule-${index + 1}`,
+									);
+									if (!command) {
+										return "Only the first four rules can have a shortcut";
+									}
+									return command.shortcut ? (
+										<kbd>{command.shortcut}</kbd>
+									) : (
+										"Not set"
+									);
+								})()}
 							</div>
 						</div>
 					))}
@@ -486,6 +1263,382 @@ function App() {
 					<button type="button" onClick={addRule} class="add-rule">
 						+ Add Rule
 					</button>
+					<datalist id="schedule-examples">
+						{SCHEDULE_EXAMPLES.map((example) => (
+							<option key={example} value={example} />
+						))}
+					</datalist>
+					<datalist id="timezones">
+						{TIMEZONES.map((timezone) => (
+							<option key={timezone} value={timezone} />
+						))}
+					</datalist>
+				</fieldset>
+
+				<SchedulePreview rules={settings.value.rules} />
+
+				<fieldset>
+					<legend>Auto-mark</legend>
+					{(settings.value.autoMarkRules ?? DEFAULTS.autoMarkRules).map(
+						(rule, index) => (
+							<div key={rule.id} class="rule-container">
+								<div class="rule-header">
+									<label class="enabled">
+										<input
+											type="checkbox"
+											checked={rule.enabled}
+											onChange={(e) => {
+												updateAutoMarkRule(index, {
+													enabled: e.currentTarget.checked,
+												});
+											}}
+										/>
+										Enabled
+									</label>
+									<div class="rule-controls">
+										<button
+											type="button"
+											onClick={() => removeAutoMarkRule(index)}
+											class="remove"
+											title="Remove auto-mark rule"
+										>
+											×
+										</button>
+									</div>
+								</div>
+
+								<label>
+									URL Pattern
+									<input
+										type="text"
+										value={rule.pattern}
+										onInput={(e) => {
+											updateAutoMarkRule(index, {
+												pattern: e.currentTarget.value,
+											});
+										}}
+										class={
+											rule.pattern &&
+											!isValidUrlPattern(rule.pattern, rule.patternType)
+												? "invalid"
+												: ""
+										}
+										placeholder="https://github.com/*/pull/*"
+									/>
+									<small>
+										Globs starting with "/" match the end of the path, e.g.
+										"/pull/*"
+									</small>
+								</label>
+
+								<label>
+									Pattern Type
+									<select
+										value={rule.patternType}
+										onChange={(e) => {
+											updateAutoMarkRule(index, {
+												patternType: e.currentTarget
+													.value as AutoMarkRule["patternType"],
+											});
+										}}
+									>
+										<option value="glob">Glob (* and ? wildcards)</option>
+										<option value="regex">Regular expression</option>
+									</select>
+								</label>
+
+								<label>
+									Priority
+									<select
+										value={rule.priority ?? "normal"}
+										onChange={(e) => {
+											updateAutoMarkRule(index, {
+												priority: e.currentTarget
+													.value as AutoMarkRule["priority"],
+											});
+										}}
+									>
+										<option value="high">High</option>
+										<option value="normal">Normal</option>
+										<option value="low">Low</option>
+									</select>
+								</label>
+
+								<label>
+									Due after (minutes)
+									<input
+										type="number"
+										value={rule.dueOffsetMinutes ?? ""}
+										onChange={(e) => {
+											const value = Number.parseInt(e.currentTarget.value, 10);
+											updateAutoMarkRule(index, {
+												dueOffsetMinutes: value > 0 ? value : undefined,
+											});
+										}}
+										min="1"
+									/>
+									<small>Empty = no due time</small>
+								</label>
+
+								{(settings.value.tags ?? DEFAULTS.tags).length > 0 && (
+									<div class="tag-filter">
+										Tags
+										<div class="tag-list">
+											{(settings.value.tags ?? DEFAULTS.tags).map((tag) => (
+												<label key={tag} class="tag">
+													<input
+														type="checkbox"
+														checked={rule.tags?.includes(tag) ?? false}
+														onChange={(e) => {
+															const tags = rule.tags ?? [];
+															updateAutoMarkRule(index, {
+																tags: e.currentTarget.checked
+																	? [...tags, tag]
+																	: tags.filter((t) => t !== tag),
+															});
+														}}
+													/>
+													{tag}
+												</label>
+											))}
+										</div>
+									</div>
+								)}
+
+								<button
+									type="button"
+									onClick={() => testAutoMarkRule(rule)}
+									disabled={!isValidUrlPattern(rule.pattern, rule.patternType)}
+								>
+									Test against open tabs
+								</button>
+								{autoMarkTestResults.value[rule.id] && (
+									<div class="result-list">
+										<strong>
+											{autoMarkTestResults.value[rule.id].length} open tab(s)
+											match
+										</strong>
+										<ul>
+											{autoMarkTestResults.value[rule.id].map((match) => (
+												<li key={match.url} title={match.url}>
+													{match.title || match.url}
+												</li>
+											))}
+										</ul>
+									</div>
+								)}
+							</div>
+						),
+					)}
+					<button type="button" onClick={addAutoMarkRule} class="add-rule">
+						+ Add Auto-mark Rule
+					</button>
+					<small>
+						Tabs are marked when they open or navigate to a matching URL. Tabs
+						that are already actionable are left unchanged.
+					</small>
+				</fieldset>
+
+				<fieldset>
+					<legend>Completion</legend>
+					{(settings.value.completionRules ?? DEFAULTS.completionRules).map(
+						(rule, index) => (
+							<div key={rule.id} class="rule-container">
+								<div class="rule-header">
+									<label class="enabled">
+										<input
+											type="checkbox"
+											checked={rule.enabled}
+											onChange={(e) => {
+												updateCompletionRule(index, {
+													enabled: e.currentTarget.checked,
+												});
+											}}
+										/>
+										Enabled
+									</label>
+									<div class="rule-controls">
+										<button
+											type="button"
+											onClick={() => removeCompletionRule(index)}
+											class="remove"
+											title="Remove completion rule"
+										>
+											×
+										</button>
+									</div>
+								</div>
+
+								<label>
+									Unmark when
+									<select
+										value={rule.type}
+										onChange={(e) => {
+											updateCompletionRule(index, {
+												type: e.currentTarget.value as CompletionRule["type"],
+											});
+										}}
+									>
+										<option value="url">URL matches a pattern</option>
+										<option value="title">Title contains text</option>
+										<option value="active">
+											Tab has been active for some time
+										</option>
+										<option value="closed">Tab is closed</option>
+									</select>
+								</label>
+
+								{rule.type === "url" && (
+									<>
+										<label>
+											URL Pattern
+											<input
+												type="text"
+												value={rule.pattern ?? ""}
+												onInput={(e) => {
+													updateCompletionRule(index, {
+														pattern: e.currentTarget.value,
+													});
+												}}
+												class={
+													rule.pattern &&
+													!isValidUrlPattern(
+														rule.pattern,
+														rule.patternType ?? "glob",
+													)
+														? "invalid"
+														: ""
+												}
+												placeholder="https://github.com/*/pull/*/merged"
+											/>
+											<small>
+												Globs starting with "/" match the end of the path, e.g.
+												"/pull/*/merged"
+											</small>
+										</label>
+										<label>
+											Pattern Type
+											<select
+												value={rule.patternType ?? "glob"}
+												onChange={(e) => {
+													updateCompletionRule(index, {
+														patternType: e.currentTarget
+															.value as CompletionRule["patternType"],
+													});
+												}}
+											>
+												<option value="glob">Glob (* and ? wildcards)</option>
+												<option value="regex">Regular expression</option>
+											</select>
+										</label>
+									</>
+								)}
+
+								{rule.type === "title" && (
+									<label>
+										Title Text
+										<input
+											type="text"
+											value={rule.pattern ?? ""}
+											onInput={(e) => {
+												updateCompletionRule(index, {
+													pattern: e.currentTarget.value,
+												});
+											}}
+											placeholder="Merged"
+										/>
+										<small>Case-insensitive</small>
+									</label>
+								)}
+
+								{rule.type === "active" && (
+									<label>
+										Active for (minutes)
+										<input
+											type="number"
+											value={rule.minutes ?? ""}
+											onChange={(e) => {
+												const value = Number.parseInt(
+													e.currentTarget.value,
+													10,
+												);
+												if (value >= 1) {
+													updateCompletionRule(index, { minutes: value });
+												}
+											}}
+											min="1"
+											required
+										/>
+									</label>
+								)}
+							</div>
+						),
+					)}
+					<button type="button" onClick={addCompletionRule} class="add-rule">
+						+ Add Completion Rule
+					</button>
+					<small>
+						Actionable tabs meeting any enabled condition are unmarked and
+						recorded as completed
+					</small>
+					{recentCompletions.value.length > 0 && (
+						<div class="result-list">
+							<strong>Recently completed</strong>
+							<ul>
+								{recentCompletions.value.map((completion) => (
+									<li
+										key={`${completion.url}-${completion.at}`}
+										title={completion.url}
+									>
+										{completion.title || completion.url} ({completion.detail},{" "}
+										<Countdown target={completion.at} />)
+									</li>
+								))}
+							</ul>
+						</div>
+					)}
+				</fieldset>
+
+				<fieldset>
+					<legend>Tags</legend>
+					<div class="tag-list">
+						{(settings.value.tags ?? DEFAULTS.tags).map((tag) => (
+							<span key={tag} class="tag">
+								{tag}
+								<button
+									type="button"
+									onClick={() => removeTag(tag)}
+									class="remove"
+									title={`Remove tag "${tag}"`}
+								>
+									×
+								</button>
+							</span>
+						))}
+					</div>
+					<form
+						class="add-tag"
+						onSubmit={(e) => {
+							e.preventDefault();
+							addTag(newTagName.value);
+							newTagName.value = "";
+						}}
+					>
+						<input
+							type="text"
+							value={newTagName.value}
+							onInput={(e) => {
+								newTagName.value = e.currentTarget.value;
+							}}
+							placeholder="code review"
+							aria-label="New tag name"
+						/>
+						<button type="submit">Add tag</button>
+					</form>
+					<small>
+						Assign tags from the icon's context menu or popup, then limit rules
+						to tagged tabs
+					</small>
 				</fieldset>
 
 				<fieldset>
@@ -518,24 +1671,291 @@ function App() {
 					</dl>
 				</fieldset>
 
+				<HistoryPanel rules={settings.value.rules} />
+
 				<SnoozePanel
 					initialSnoozeMinutes={settings.value.snoozeMinutes}
 					initialSnoozeUntil={settings.value.snoozeUntil}
+					initialRuleSnoozes={settings.value.ruleSnoozes}
+					rules={settings.value.rules}
+					quietHours={settings.value.quietHours}
 				/>
 
-				{settings.value.rules.some((rule) => {
-					if (!rule.cronSchedule || !rule.cronSchedule.trim()) return false;
-					try {
-						CronExpressionParser.parse(rule.cronSchedule.trim());
-						return false;
-					} catch (_err) {
-						return true;
-					}
-				}) && (
-					<div id="msg" class="error">
-						One or more rules have invalid cron expressions
-					</div>
-				)}
+				<fieldset>
+					<legend>Reminders</legend>
+					<label>
+						<input
+							type="checkbox"
+							checked={
+								settings.value.dueNotifications ?? DEFAULTS.dueNotifications
+							}
+							onChange={(e) => {
+								queueSettingChange("dueNotifications", e.currentTarget.checked);
+							}}
+						/>
+						Notify when a tab is due or back from snooze
+					</label>
+					<small>
+						Right-click the Actionable Tabs icon and choose "Current tab" and
+						"Remind me" to pull a single tab to the top/left at a specific time.
+					</small>
+				</fieldset>
+
+				<fieldset>
+					<legend>Snoozed tabs</legend>
+					<label>
+						While a tab is snoozed
+						<select
+							value={
+								settings.value.snoozedTabAction ?? DEFAULTS.snoozedTabAction
+							}
+							onChange={(e) => {
+								queueSettingChange(
+									"snoozedTabAction",
+									e.currentTarget.value as Settings["snoozedTabAction"],
+								);
+							}}
+						>
+							<option value="none">Leave it where it is</option>
+							<option value="discard">Unload it to save memory</option>
+							<option value="move">Move it to the bottom/right</option>
+						</select>
+					</label>
+					<small>
+						Snooze a tab from the popup or with "Snooze tab" in the right-click
+						menu. Snoozed tabs are left out of the queue and pulled back to the
+						top/left when the snooze ends.
+					</small>
+				</fieldset>
+
+				<fieldset>
+					<legend>Tab groups</legend>
+					{supportsTabGroups() ? (
+						<>
+							<label>
+								<input
+									type="checkbox"
+									checked={settings.value.tabGroups ?? DEFAULTS.tabGroups}
+									onChange={(e) => {
+										queueSettingChange("tabGroups", e.currentTarget.checked);
+									}}
+								/>
+								Collect actionable tabs into "Actionable" tab groups
+							</label>
+							{(settings.value.tabGroups ?? DEFAULTS.tabGroups) && (
+								<>
+									<label>
+										Group and colour by
+										<select
+											value={
+												settings.value.tabGroupColor ?? DEFAULTS.tabGroupColor
+											}
+											onChange={(e) => {
+												queueSettingChange(
+													"tabGroupColor",
+													e.currentTarget.value as Settings["tabGroupColor"],
+												);
+											}}
+										>
+											<option value="priority">Priority</option>
+											<option value="tag">First tag</option>
+										</select>
+									</label>
+									<label>
+										<input
+											type="checkbox"
+											checked={
+												settings.value.collapseSnoozedGroups ??
+												DEFAULTS.collapseSnoozedGroups
+											}
+											onChange={(e) => {
+												queueSettingChange(
+													"collapseSnoozedGroups",
+													e.currentTarget.checked,
+												);
+											}}
+										/>
+										Collapse the group of snoozed tabs, and all groups while
+										rules are snoozed
+									</label>
+								</>
+							)}
+							<small>
+								Each window gets a group per priority or tag, and snoozed tabs
+								get one of their own. Tabs you grouped yourself stay in their
+								group, and rules pull them together with that group. Tabs pulled
+								out of an Actionable group get a group of their own, and rules
+								don't drop other tabs into the middle of a group.
+							</small>
+						</>
+					) : (
+						<p>This browser doesn't support tab groups</p>
+					)}
+				</fieldset>
+
+				<fieldset>
+					<legend>Keyboard shortcuts</legend>
+					<dl>
+						{commands.value
+							.filter((command) => !command.name.startsWith("pull-rule-"))
+							.map((command) => [
+								<dt key={`${command.name}-description`}>
+									{command.description}
+								</dt>,
+								<dd key={`${command.name}-shortcut`}>
+									{command.shortcut ? <kbd>{command.shortcut}</kbd> : "Not set"}
+								</dd>,
+							])}
+					</dl>
+					<small>
+						Shortcuts for pulling with a rule are shown with each rule. Change
+						shortcuts in Firefox from the gear menu of about:addons ("Manage
+						Extension Shortcuts"), or in Chrome at
+						chrome://extensions/shortcuts.
+					</small>
+				</fieldset>
+
+				{(() => {
+					const invalidRules = settings.value.rules
+						.map((rule, index) => ({ rule, index }))
+						.filter(({ rule }) => getScheduleErrors(rule).length > 0)
+						.map(({ index }) => `Rule ${index + 1}`);
+					return (
+						invalidRules.length > 0 && (
+							<div id="msg" class="error">
+								Invalid schedule in {invalidRules.join(", ")}. These rules keep
+								running on their last valid schedule.
+							</div>
+						)
+					);
+				})()}
+
+				<fieldset>
+					<legend>Sync across devices</legend>
+					<label>
+						<input
+							type="checkbox"
+							checked={settings.value.queueSync ?? DEFAULTS.queueSync}
+							onChange={(e) => {
+								queueSettingChange("queueSync", e.currentTarget.checked);
+							}}
+						/>
+						Sync actionable tabs with your other devices
+					</label>
+					<small>
+						Shares the URLs, titles, tags, priorities and due times of
+						actionable tabs through the browser's sync, for devices with this
+						option on. When a tab is marked on one device and unmarked on
+						another, the latest change wins. Closing a tab doesn't unmark it
+						elsewhere.
+					</small>
+					{(settings.value.queueSync ?? DEFAULTS.queueSync) && (
+						<>
+							{unsyncedTabCount.value > 0 && (
+								<p class="sync-warning">
+									The {unsyncedTabCount.value} oldest actionable tab(s) don't
+									fit in sync storage and aren't shared
+								</p>
+							)}
+							{remoteQueueItems.value.length === 0 ? (
+								<p>No actionable tabs only on other devices</p>
+							) : (
+								<ul class="tab-list">
+									{remoteQueueItems.value.map((remoteItem) => (
+										<li key={remoteItem.url}>
+											<button
+												type="button"
+												onClick={() => openRemoteTab(remoteItem)}
+												title="Open here and mark as actionable"
+											>
+												Open here
+											</button>
+											<span class="tab-list-title" title={remoteItem.url}>
+												{remoteItem.item.title || remoteItem.url}
+											</span>
+											<small>
+												{remoteItem.deviceName} · marked{" "}
+												<Countdown target={remoteItem.item.markedAt} />
+											</small>
+										</li>
+									))}
+								</ul>
+							)}
+						</>
+					)}
+				</fieldset>
+
+				<fieldset>
+					<legend>Recently closed</legend>
+					{recentlyClosedTabs.value.length === 0 ? (
+						<p>No recently closed actionable tabs</p>
+					) : (
+						<ul class="tab-list">
+							{recentlyClosedTabs.value.map((tab) => (
+								<li key={`${tab.url}-${tab.closedAt}`}>
+									<button
+										type="button"
+										onClick={() => reopenClosedTab(tab)}
+										title="Reopen and mark as actionable again"
+									>
+										Reopen
+									</button>
+									<span class="tab-list-title" title={tab.url}>
+										{tab.title || tab.url}
+									</span>
+									<small>
+										closed <Countdown target={tab.closedAt} />
+									</small>
+								</li>
+							))}
+						</ul>
+					)}
+					<small>
+						Actionable tabs that were closed, or that weren't restored after a
+						restart. Reopening keeps their tags, priority and due time.
+					</small>
+				</fieldset>
+
+				<fieldset>
+					<legend>Backup</legend>
+					<button type="button" onClick={exportBackup}>
+						Export
+					</button>
+					<label class="import-backup">
+						Import backup file
+						<input
+							type="file"
+							accept="application/json,.json"
+							onChange={(e) => {
+								const file = e.currentTarget.files?.[0];
+								e.currentTarget.value = "";
+								if (file) void importBackup(file);
+							}}
+						/>
+					</label>
+					<label>
+						<input
+							type="checkbox"
+							checked={reopenMissingTabs.value}
+							onChange={(e) => {
+								reopenMissingTabs.value = e.currentTarget.checked;
+							}}
+						/>
+						Reopen actionable tabs that aren't open
+					</label>
+					<small>
+						Exports rules, snooze and other settings, and the URLs of all
+						actionable tabs. Importing replaces all settings and re-marks open
+						tabs with matching URLs.
+					</small>
+					{backupMessage.value && (
+						<div
+							class={`backup-message${backupMessage.value.isError ? " error" : ""}`}
+						>
+							{backupMessage.value.text}
+						</div>
+					)}
+				</fieldset>
 
 				<button
 					type="button"
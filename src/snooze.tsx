@@ -3,19 +3,246 @@
 import { useSignal } from "@preact/signals";
 import { useEffect } from "preact/hooks";
 import { Countdown } from "./countdown";
-import { DEFAULTS } from "./storage";
+import { recordHistoryEvent } from "./history";
+import {
+	DEFAULTS,
+	getSettings,
+	type QuietHours,
+	type Rule,
+	type Settings,
+} from "./storage";
 
 if (typeof browser === "undefined") globalThis.browser = chrome;
 
+/** Alarm that refreshes menus when a snooze starts or ends */
+export const SNOOZE_CHANGE_ALARM = "snoozeChange";
+
+type SnoozeSource = {
+	/** "global", `quiet_${id}` or `rule_${id}` */
+	id: string;
+	label: string;
+	/** Epoch ms when the snooze ends */
+	until: number;
+	/** Rule the snooze applies to, or undefined for all rules */
+	ruleId?: string;
+};
+
 function getSnoozeRemainingMs(snoozeUntil: unknown): number | undefined {
 	if (typeof snoozeUntil !== "string") return undefined;
 	const ms = new Date(snoozeUntil).getTime() - Date.now();
 	return ms > 0 ? ms : undefined;
 }
 
-export async function isSnoozeActive(): Promise<boolean> {
-	const { snoozeUntil } = await browser.storage.sync.get("snoozeUntil");
-	return getSnoozeRemainingMs(snoozeUntil) !== undefined;
+/**
+ * Parse a local HH:MM time into minutes since midnight
+ */
+function parseTime(time: string): number {
+	const [hours, minutes] = time.split(":").map(Number);
+	return (hours || 0) * 60 + (minutes || 0);
+}
+
+/**
+ * Get the epoch ms of a number of minutes after midnight of a day, which may
+ * run into the following day
+ */
+function atMinutes(day: Date, minutes: number): number {
+	const date = new Date(day);
+	date.setHours(0, minutes, 0, 0);
+	return date.getTime();
+}
+
+/**
+ * Get the end of the quiet hours window that contains a time
+ * @returns Epoch ms of the end, or null if the time is outside every window
+ */
+function getQuietHoursWindowEnd(
+	quietHours: QuietHours,
+	at: number,
+): number | null {
+	const start = parseTime(quietHours.start);
+	let end = parseTime(quietHours.end);
+	if (end <= start) end += 24 * 60;
+
+	// A window that spans midnight may have started the day before
+	for (const daysAgo of [0, 1]) {
+		const day = new Date(at);
+		day.setDate(day.getDate() - daysAgo);
+		if (!quietHours.days.includes(day.getDay())) continue;
+
+		if (atMinutes(day, start) <= at && at < atMinutes(day, end)) {
+			return atMinutes(day, end);
+		}
+	}
+	return null;
+}
+
+/**
+ * Get when quiet hours containing a time end, counting back-to-back windows,
+ * such as a whole weekend, as one
+ */
+function getQuietHoursEnd(quietHours: QuietHours, at: number): number | null {
+	let end = getQuietHoursWindowEnd(quietHours, at);
+	for (let i = 0; end != null && i < 7; i++) {
+		const nextEnd = getQuietHoursWindowEnd(quietHours, end);
+		if (nextEnd == null) break;
+		end = nextEnd;
+	}
+	return end;
+}
+
+/**
+ * Get when quiet hours next start after a time
+ */
+function getNextQuietHoursStart(
+	quietHours: QuietHours,
+	after: number,
+): number | null {
+	const start = parseTime(quietHours.start);
+	for (let daysAhead = 0; daysAhead <= 7; daysAhead++) {
+		const day = new Date(after);
+		day.setDate(day.getDate() + daysAhead);
+		if (!quietHours.days.includes(day.getDay())) continue;
+
+		const windowStart = atMinutes(day, start);
+		if (windowStart > after) return windowStart;
+	}
+	return null;
+}
+
+/**
+ * Get every snooze in effect: the global snooze, quiet hours and rule snoozes
+ */
+export function getActiveSnoozes(
+	settings: Pick<
+		Settings,
+		"snoozeUntil" | "ruleSnoozes" | "quietHours" | "rules"
+	>,
+	now = Date.now(),
+): SnoozeSource[] {
+	const sources: SnoozeSource[] = [];
+
+	const globalUntil = settings.snoozeUntil
+		? new Date(settings.snoozeUntil).getTime()
+		: 0;
+	if (globalUntil > now) {
+		sources.push({ id: "global", label: "All rules", until: globalUntil });
+	}
+
+	for (const quietHours of settings.quietHours ?? DEFAULTS.quietHours) {
+		if (!quietHours.enabled) continue;
+		const until = getQuietHoursEnd(quietHours, now);
+		if (until != null) {
+			sources.push({
+				id: `quiet_${quietHours.id}`,
+				label: quietHours.label || "Quiet hours",
+				until,
+			});
+		}
+	}
+
+	const ruleSnoozes = settings.ruleSnoozes ?? DEFAULTS.ruleSnoozes;
+	settings.rules.forEach((rule, index) => {
+		const until = ruleSnoozes[rule.id]
+			? new Date(ruleSnoozes[rule.id]).getTime()
+			: 0;
+		if (until > now) {
+			sources.push({
+				id: `rule_${rule.id}`,
+				label: `Rule ${index + 1}`,
+				until,
+				ruleId: rule.id,
+			});
+		}
+	});
+
+	return sources;
+}
+
+/**
+ * Get the next time a snooze starts or ends
+ * @returns Epoch ms, or null if no snooze will change
+ */
+export function getNextSnoozeChange(
+	settings: Pick<
+		Settings,
+		"snoozeUntil" | "ruleSnoozes" | "quietHours" | "rules"
+	>,
+	now = Date.now(),
+): number | null {
+	const times = [
+		...getActiveSnoozes(settings, now).map((source) => source.until),
+		...(settings.quietHours ?? DEFAULTS.quietHours)
+			.filter((quietHours) => quietHours.enabled)
+			.map((quietHours) => getNextQuietHoursStart(quietHours, now))
+			.filter((time) => time != null),
+	];
+	return times.length > 0 ? Math.min(...times) : null;
+}
+
+/**
+ * Check whether scheduled runs are snoozed, globally or by quiet hours, or for
+ * one rule when its ID is given
+ */
+export async function isSnoozeActive(ruleId?: string): Promise<boolean> {
+	// Read the keys directly, since getSettings may write migrations back
+	const settings = await browser.storage.sync.get([
+		"snoozeUntil",
+		"ruleSnoozes",
+		"quietHours",
+		"rules",
+	]);
+	return getActiveSnoozes({
+		snoozeUntil: settings.snoozeUntil as string | undefined,
+		ruleSnoozes: settings.ruleSnoozes as Record<string, string> | undefined,
+		quietHours: settings.quietHours as QuietHours[] | undefined,
+		rules: (settings.rules as Rule[] | undefined) ?? [],
+	}).some((source) => source.ruleId == null || source.ruleId === ruleId);
+}
+
+/**
+ * Get the next 9:00 on a weekday (Monday to Friday) after a time
+ */
+export function getNextWeekdayMorning(now = new Date()): number {
+	const next = new Date(now);
+	next.setHours(9, 0, 0, 0);
+	while (next <= now || next.getDay() === 0 || next.getDay() === 6) {
+		next.setDate(next.getDate() + 1);
+	}
+	return next.getTime();
+}
+
+/**
+ * Format when a snooze ends, with the weekday if it isn't today
+ */
+export function formatSnoozeEnd(until: number): string {
+	const end = new Date(until);
+	return end.toDateString() === new Date().toDateString()
+		? end.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+		: end.toLocaleString([], {
+				weekday: "short",
+				hour: "2-digit",
+				minute: "2-digit",
+			});
+}
+
+/**
+ * Snooze all rules until a time, or cancel the snooze
+ * @param until - Epoch ms, or undefined to cancel
+ */
+export async function snoozeAllRulesUntil(
+	until: number | undefined,
+): Promise<string | undefined> {
+	const snoozeUntil = until != null ? new Date(until).toISOString() : undefined;
+
+	await browser.storage.sync.set({ snoozeUntil });
+	await recordHistoryEvent({
+		type: "snooze",
+		at: Date.now(),
+		detail: snoozeUntil
+			? `Snoozed all rules until ${new Date(snoozeUntil).toLocaleString()}`
+			: "Cancelled snooze",
+	});
+	return snoozeUntil;
 }
 
 export async function toggleGlobalSnooze(
@@ -26,18 +253,50 @@ export async function toggleGlobalSnooze(
 		"snoozeMinutes",
 	]);
 
-	const newSnoozeUntil =
+	return snoozeAllRulesUntil(
 		getSnoozeRemainingMs(current.snoozeUntil) !== undefined
 			? undefined
-			: new Date(
-					Date.now() +
-						(snoozeMinutesOverride ??
-							(Number(current.snoozeMinutes) || DEFAULTS.snoozeMinutes)) *
-							60_000,
-				).toISOString();
+			: Date.now() +
+					(snoozeMinutesOverride ??
+						(Number(current.snoozeMinutes) || DEFAULTS.snoozeMinutes)) *
+						60_000,
+	);
+}
+
+/**
+ * Snooze scheduled runs of a single rule until a time, or cancel its snooze
+ * @param until - Epoch ms, or undefined to cancel
+ */
+export async function snoozeRule(
+	ruleId: string,
+	until: number | undefined,
+): Promise<void> {
+	const settings = await getSettings();
+	const ruleIndex = settings.rules.findIndex((rule) => rule.id === ruleId);
+	if (ruleIndex < 0) return;
+
+	// Only the snoozes are written, so runs saving the rules meanwhile are kept
+	const snoozeUntil = until != null ? new Date(until).toISOString() : undefined;
+	const now = Date.now();
+	const ruleSnoozes = Object.fromEntries(
+		Object.entries(settings.ruleSnoozes ?? DEFAULTS.ruleSnoozes).filter(
+			([id, time]) =>
+				id !== ruleId &&
+				settings.rules.some((rule) => rule.id === id) &&
+				new Date(time).getTime() > now,
+		),
+	);
+	if (snoozeUntil) ruleSnoozes[ruleId] = snoozeUntil;
 
-	await browser.storage.sync.set({ snoozeUntil: newSnoozeUntil });
-	return newSnoozeUntil;
+	await browser.storage.sync.set({ ruleSnoozes });
+	await recordHistoryEvent({
+		type: "snooze",
+		at: Date.now(),
+		ruleId,
+		detail: snoozeUntil
+			? `Snoozed Rule ${ruleIndex + 1} until ${new Date(snoozeUntil).toLocaleString()}`
+			: `Cancelled snooze of Rule ${ruleIndex + 1}`,
+	});
 }
 
 function updateSnoozeMinutesSetting(minutes: number): void {
@@ -48,22 +307,143 @@ function updateSnoozeMinutesSetting(minutes: number): void {
 	browser.storage.sync.set({ snoozeMinutes: minutes });
 }
 
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+function updateQuietHoursSetting(quietHours: QuietHours[]): void {
+	browser.storage.sync.set({ quietHours: structuredClone(quietHours) });
+}
+
+type QuietHoursEditorProps = {
+	quietHours: QuietHours[];
+};
+
+function QuietHoursEditor({ quietHours }: QuietHoursEditorProps) {
+	function updateQuietHours(index: number, updates: Partial<QuietHours>) {
+		updateQuietHoursSetting(
+			quietHours.map((q, i) => (i === index ? { ...q, ...updates } : q)),
+		);
+	}
+
+	return (
+		<div class="quiet-hours">
+			<strong>Quiet hours</strong>
+			{quietHours.map((q, index) => (
+				<div key={q.id} class="quiet-hours-entry">
+					<div class="quiet-hours-row">
+						<input
+							type="checkbox"
+							checked={q.enabled}
+							onChange={(e) => {
+								updateQuietHours(index, { enabled: e.currentTarget.checked });
+							}}
+							aria-label="Enabled"
+						/>
+						<input
+							type="text"
+							value={q.label}
+							placeholder="Quiet hours"
+							onChange={(e) => {
+								updateQuietHours(index, { label: e.currentTarget.value });
+							}}
+							aria-label="Label"
+						/>
+						<input
+							type="time"
+							value={q.start}
+							onChange={(e) => {
+								updateQuietHours(index, { start: e.currentTarget.value });
+							}}
+							aria-label="Start"
+						/>
+						to
+						<input
+							type="time"
+							value={q.end}
+							onChange={(e) => {
+								updateQuietHours(index, { end: e.currentTarget.value });
+							}}
+							aria-label="End"
+						/>
+						<button
+							type="button"
+							onClick={() => {
+								updateQuietHoursSetting(
+									quietHours.filter((_, i) => i !== index),
+								);
+							}}
+						>
+							✕
+						</button>
+					</div>
+					<div class="tag-list">
+						{WEEKDAYS.map((day, dayIndex) => (
+							<label key={day} class="tag">
+								<input
+									type="checkbox"
+									checked={q.days.includes(dayIndex)}
+									onChange={(e) => {
+										updateQuietHours(index, {
+											days: e.currentTarget.checked
+												? [...q.days, dayIndex].sort()
+												: q.days.filter((d) => d !== dayIndex),
+										});
+									}}
+								/>
+								{day}
+							</label>
+						))}
+					</div>
+				</div>
+			))}
+			<button
+				type="button"
+				onClick={() => {
+					updateQuietHoursSetting([
+						...quietHours,
+						{
+							id: crypto.randomUUID(),
+							enabled: true,
+							label: "",
+							days: [1, 2, 3, 4, 5],
+							start: "12:00",
+							end: "13:00",
+						},
+					]);
+				}}
+			>
+				+ Add quiet hours
+			</button>
+			<small>
+				All rules are snoozed during quiet hours. An end time before the start
+				runs past midnight; equal times cover the whole day.
+			</small>
+		</div>
+	);
+}
+
 type SnoozePanelProps = {
 	initialSnoozeMinutes?: number;
 	initialSnoozeUntil?: string;
+	initialRuleSnoozes?: Record<string, string>;
+	rules: Rule[];
+	quietHours?: QuietHours[];
 };
 
 export function SnoozePanel({
 	initialSnoozeMinutes,
 	initialSnoozeUntil,
+	initialRuleSnoozes,
+	rules,
+	quietHours = DEFAULTS.quietHours,
 }: SnoozePanelProps) {
 	const snoozeUntil = useSignal<string | undefined>(initialSnoozeUntil);
+	const ruleSnoozes = useSignal<Record<string, string> | undefined>(
+		initialRuleSnoozes,
+	);
 	const snoozeMinutes = useSignal<number>(
 		initialSnoozeMinutes ?? DEFAULTS.snoozeMinutes,
 	);
-	const active = useSignal(
-		getSnoozeRemainingMs(initialSnoozeUntil) !== undefined,
-	);
+	const now = useSignal(Date.now());
 
 	useEffect(() => {
 		const handleStorageChange: Parameters<
@@ -72,8 +452,11 @@ export function SnoozePanel({
 			if (areaName !== "sync") return;
 			if ("snoozeUntil" in changes) {
 				snoozeUntil.value = changes.snoozeUntil.newValue as string | undefined;
-				active.value =
-					getSnoozeRemainingMs(changes.snoozeUntil.newValue) !== undefined;
+			}
+			if ("ruleSnoozes" in changes) {
+				ruleSnoozes.value = changes.ruleSnoozes.newValue as
+					| Record<string, string>
+					| undefined;
 			}
 			if ("snoozeMinutes" in changes) {
 				snoozeMinutes.value =
@@ -87,17 +470,23 @@ export function SnoozePanel({
 	}, []);
 
 	useEffect(() => {
-		function checkSnoozeStatus() {
-			active.value = getSnoozeRemainingMs(snoozeUntil.value) !== undefined;
-		}
-
-		checkSnoozeStatus();
-
-		const id = setInterval(checkSnoozeStatus, 1000);
+		const id = setInterval(() => {
+			now.value = Date.now();
+		}, 1000);
 		return () => clearInterval(id);
 	}, []);
 
 	const minutes = snoozeMinutes.value;
+	const activeSnoozes = getActiveSnoozes(
+		{
+			snoozeUntil: snoozeUntil.value,
+			ruleSnoozes: ruleSnoozes.value,
+			quietHours,
+			rules,
+		},
+		now.value,
+	);
+	const active = activeSnoozes.some((source) => source.id === "global");
 
 	return (
 		<fieldset>
@@ -134,31 +523,49 @@ export function SnoozePanel({
 				<button
 					type="button"
 					onClick={() => toggleGlobalSnooze(minutes)}
-					class={active.value ? "snooze-active" : undefined}
+					class={active ? "snooze-active" : undefined}
 				>
-					{active.value ? "Cancel snooze" : "Snooze now"}
+					{active ? "Cancel snooze" : "Snooze now"}
 				</button>
+				{!active && (
+					<button
+						type="button"
+						onClick={() => snoozeAllRulesUntil(getNextWeekdayMorning())}
+					>
+						Until next weekday 9:00
+					</button>
+				)}
 			</div>
-			{active.value && (
-				<small
-					style={{
-						display: "block",
-						marginTop: "12px",
-						padding: "8px 12px",
-						backgroundColor: "#e7f3ff",
-						borderRadius: "4px",
-						color: "#0066cc",
-					}}
-				>
-					Snooze active:{" "}
-					<Countdown
-						target={snoozeUntil.value ?? ""}
-						preposition={false}
-						seconds
-					/>{" "}
-					remaining
-				</small>
+			{activeSnoozes.length > 0 && (
+				<ul class="snooze-sources">
+					{activeSnoozes.map(({ id, label, until, ruleId }) => (
+						<li key={id}>
+							<strong>{label}</strong> snoozed until {formatSnoozeEnd(until)} (
+							<Countdown target={until} preposition={false} seconds />{" "}
+							remaining)
+							{id === "global" && (
+								<button
+									type="button"
+									class="link"
+									onClick={() => snoozeAllRulesUntil(undefined)}
+								>
+									Cancel
+								</button>
+							)}
+							{ruleId != null && (
+								<button
+									type="button"
+									class="link"
+									onClick={() => snoozeRule(ruleId, undefined)}
+								>
+									Cancel
+								</button>
+							)}
+						</li>
+					))}
+				</ul>
 			)}
+			<QuietHoursEditor quietHours={quietHours} />
 		</fieldset>
 	);
 }
@@ -1,11 +1,254 @@
 export type Rule = {
 	id: string;
 	cronSchedule: string;
-	queueMode: "oldest" | "newest" | "leftmost" | "rightmost";
+	queueMode:
+		| "oldest"
+		| "newest"
+		| "leftmost"
+		| "rightmost"
+		| "priority-oldest"
+		| "priority-leftmost";
 	lastMoveTime: number | null;
+	/**
+	 * More cron expressions the rule also runs on, for schedules one expression
+	 * can't describe. undefined = none
+	 */
+	extraCronSchedules?: string[];
+	/** Schedule as the user typed it, compiled into the cron expressions above */
+	schedulePhrase?: string;
+	/**
+	 * ISO timestamps the rule also runs at once each, removed once they have
+	 * passed. undefined = none
+	 */
+	runOnceAt?: string[];
+	/** IANA timezone the cron schedule is read in, e.g. "America/New_York". undefined = local time */
+	timezone?: string;
 	moveCount: number;
 	moveDirection: "left" | "right";
+	/**
+	 * Where pulled tabs go: the edge of the tab strip given by moveDirection, a
+	 * fixed position, next to the active tab, or the edge of the dedicated
+	 * "Actionable" window. "push-others" leaves them where they are and moves
+	 * the non-actionable tabs between them and that edge to the other end
+	 * instead. undefined = "edge"
+	 */
+	moveTarget?: "edge" | "position" | "active" | "window" | "push-others";
+	/** 1-based position among the unpinned tabs, for the "position" target. undefined = 1 */
+	targetPosition?: number;
+	/**
+	 * How many tabs right (positive) or left (negative) of the active tab, for
+	 * the "active" target. undefined = 1, right after it
+	 */
+	activeTabOffset?: number;
+	/** Activate the first pulled tab and focus its window. undefined = false */
+	focusPulledTab?: boolean;
+	/** Pin pulled tabs until they have been visited. undefined = false */
+	pinPulledTabs?: boolean;
+	/**
+	 * Reload pulled tabs that were unloaded, or not visited for this many
+	 * minutes, before surfacing them. undefined = never
+	 */
+	reloadStaleMinutes?: number;
 	showNotifications: boolean;
+	/**
+	 * Which windows the rule acts on: only the focused window, every window
+	 * independently, or gather tabs from all windows into the focused one.
+	 * undefined = "focused"
+	 */
+	windowScope?: "focused" | "each" | "gather";
+	/**
+	 * Only move tabs carrying at least one of these tags. undefined or empty = all tabs
+	 */
+	tagFilter?: string[];
+	/**
+	 * Hold scheduled runs while the user is using the browser: any keyboard or
+	 * mouse input within the last 15 seconds while a browser window has focus.
+	 * undefined = false
+	 */
+	deferWhileInUse?: boolean;
+	/**
+	 * Only run scheduled moves in this system idle state, where "idle" includes a
+	 * locked screen. undefined = any state
+	 */
+	idleCondition?: "active" | "idle";
+	/** Only run scheduled moves while a browser window has focus. undefined = false */
+	requireFocusedWindow?: boolean;
+	/**
+	 * What happens to a scheduled run whose conditions aren't met: run it as soon
+	 * as they are, or drop it. undefined = "defer"
+	 */
+	unmetConditionPolicy?: "defer" | "skip";
+	/**
+	 * What to do about scheduled runs missed while the browser was closed or the
+	 * system asleep: drop them, run once, run once per missed run up to
+	 * catchUpLimit, or ask with a notification. undefined = "once"
+	 */
+	catchUpPolicy?: "skip" | "once" | "each" | "ask";
+	/** Most missed runs made up for with the "each" policy. undefined = 5 */
+	catchUpLimit?: number;
+};
+
+/**
+ * How a rule moves the tabs it pulls, besides their direction
+ */
+export type MoveOptions = Pick<
+	Rule,
+	| "moveTarget"
+	| "targetPosition"
+	| "activeTabOffset"
+	| "focusPulledTab"
+	| "pinPulledTabs"
+	| "reloadStaleMinutes"
+>;
+
+/**
+ * A recurring "do not disturb" window during which all rules are snoozed
+ */
+export type QuietHours = {
+	id: string;
+	enabled: boolean;
+	/** Shown in the snooze panel, e.g. "Meetings" */
+	label: string;
+	/** Days of the week the window starts on, 0 = Sunday */
+	days: number[];
+	/** Local start time as HH:MM */
+	start: string;
+	/**
+	 * Local end time as HH:MM. An end before the start spans midnight, and an end
+	 * equal to the start covers the whole day.
+	 */
+	end: string;
+};
+
+export type Priority = "high" | "normal" | "low";
+
+/**
+ * Data stored in the "actionable" session value of each actionable tab
+ */
+export type ActionableData = {
+	/** Epoch ms when the tab was marked as actionable */
+	markedAt: number;
+	/**
+	 * Sort key of the tab in the oldest/newest queue modes, set when the tab
+	 * is reordered or skipped. undefined = markedAt
+	 */
+	queueOrder?: number;
+	/** Epoch ms when the tab should be pulled to the front on its own */
+	dueAt?: number;
+	/** undefined = "normal" */
+	priority?: Priority;
+	/** Names of the tags assigned to the tab, from Settings["tags"] */
+	tags?: string[];
+	/**
+	 * Epoch ms until which the tab is left out of the queue, after which it is
+	 * pulled to the top/left of its window again
+	 */
+	snoozedUntil?: number;
+	/** Whether a rule pinned the tab, to be unpinned once it has been visited */
+	pinnedUntilVisited?: boolean;
+};
+
+/**
+ * Durable copy of an actionable tab's session value, kept in storage.local
+ * with the tab's URL and title
+ */
+export type StoredActionableTab = {
+	url: string;
+	title: string;
+	data: ActionableData;
+};
+
+/**
+ * An actionable tab that was closed, or not restored after a restart
+ */
+export type ClosedActionableTab = StoredActionableTab & {
+	/** Epoch ms when the tab was closed, or found missing on startup */
+	closedAt: number;
+};
+
+/**
+ * An actionable tab as synced to other devices, by URL
+ */
+export type SyncedQueueItem = {
+	/** Shortened to keep within the storage.sync quota */
+	title: string;
+	markedAt: number;
+	tags?: string[];
+	dueAt?: number;
+	priority?: Priority;
+};
+
+/**
+ * The actionable queue one device shares through storage.sync, split across
+ * several keys to stay under the per-item quota
+ */
+export type SyncedQueue = {
+	deviceName: string;
+	/** Open actionable tabs of the device, by URL */
+	items: Record<string, SyncedQueueItem>;
+	/**
+	 * Epoch ms when URLs stopped being actionable on the device, so other
+	 * devices can tell an unmark apart from a mark they haven't seen yet
+	 */
+	removed: Record<string, number>;
+	/** Number of tabs left out because the queue didn't fit the quota */
+	truncated?: number;
+};
+
+/** Prefix of the storage.sync keys of synced queues, which are not settings */
+export const QUEUE_SYNC_KEY_PREFIX = "queueSync_";
+
+/**
+ * Check whether a storage.sync key holds part of a device's synced queue
+ * rather than a setting
+ */
+export function isQueueSyncKey(key: string): boolean {
+	return key.startsWith(QUEUE_SYNC_KEY_PREFIX);
+}
+
+/**
+ * Marks tabs as actionable automatically when their URL matches a pattern
+ */
+export type AutoMarkRule = {
+	id: string;
+	/** Glob (`*` and `?` wildcards) or regular expression matched against the full URL */
+	pattern: string;
+	patternType: "glob" | "regex";
+	enabled: boolean;
+	/** Tags to assign to the marked tab */
+	tags?: string[];
+	/** Priority to assign to the marked tab. undefined = "normal" */
+	priority?: Priority;
+	/** Minutes after marking until the tab is due. undefined = no due time */
+	dueOffsetMinutes?: number;
+};
+
+/**
+ * Unmarks actionable tabs automatically once their task looks done
+ */
+export type CompletionRule = {
+	id: string;
+	enabled: boolean;
+	/**
+	 * "url" = the tab navigates to a URL matching pattern, "title" = the title
+	 * contains pattern, "active" = the tab stays active for minutes, "closed" =
+	 * the tab is closed
+	 */
+	type: "url" | "title" | "active" | "closed";
+	/** URL pattern for "url" rules, case-insensitive text for "title" rules */
+	pattern?: string;
+	/** How a "url" rule's pattern is matched. undefined = "glob" */
+	patternType?: AutoMarkRule["patternType"];
+	/** Minutes a tab has to stay active for "active" rules */
+	minutes?: number;
+};
+
+/**
+ * Rule fields that were renamed
+ */
+type LegacyRule = Rule & {
+	/** Renamed to deferWhileInUse, since any input counts, not only typing */
+	deferWhileTyping?: boolean;
 };
 
 /**
@@ -38,6 +281,57 @@ export type Settings = {
 	 * ISO timestamp when snooze expires
 	 */
 	snoozeUntil?: string;
+	/**
+	 * ISO timestamps until which scheduled runs of single rules are snoozed, by
+	 * rule ID. Kept out of the rules so snoozing a rule can't overwrite the
+	 * lastMoveTime a run saves at the same time.
+	 */
+	ruleSnoozes?: Record<string, string>;
+	/**
+	 * Whether to show a notification when a tab's due time arrives
+	 */
+	dueNotifications?: boolean;
+	/**
+	 * What happens to a tab while it is snoozed: nothing, unloaded from memory,
+	 * or moved to the bottom/right of its window
+	 */
+	snoozedTabAction?: "none" | "discard" | "move";
+	/**
+	 * Whether actionable tabs are collected into "Actionable" tab groups, in
+	 * browsers with tab groups
+	 */
+	tabGroups?: boolean;
+	/**
+	 * What the Actionable groups are split and coloured by: the tabs'
+	 * priority, or their first tag
+	 */
+	tabGroupColor?: "priority" | "tag";
+	/**
+	 * Whether the group of snoozed tabs is kept collapsed, along with all
+	 * Actionable groups while all rules are snoozed
+	 */
+	collapseSnoozedGroups?: boolean;
+	/**
+	 * Whether the actionable queue is shared with other devices through
+	 * storage.sync, so their tabs can be continued on this one
+	 */
+	queueSync?: boolean;
+	/**
+	 * Tags that can be assigned to actionable tabs and used as rule filters
+	 */
+	tags?: string[];
+	/**
+	 * Rules for marking tabs as actionable when they are opened or navigate
+	 */
+	autoMarkRules?: AutoMarkRule[];
+	/**
+	 * Conditions that unmark actionable tabs automatically
+	 */
+	completionRules?: CompletionRule[];
+	/**
+	 * Recurring windows during which all rules are snoozed
+	 */
+	quietHours?: QuietHours[];
 };
 
 export const DEFAULTS = {
@@ -51,10 +345,22 @@ export const DEFAULTS = {
 			moveCount: 1, // how many actionable tabs to move per cron execution
 			moveDirection: "left", // where to move actionable tabs: 'left' (after pinned tabs) or 'right' (end of tab strip)
 			showNotifications: true,
+			windowScope: "focused", // which windows to act on: 'focused', 'each' or 'gather'
 		},
 	],
 	snoozeMinutes: 60,
 	snoozeUntil: undefined,
+	ruleSnoozes: {} as Record<string, string>,
+	dueNotifications: true,
+	snoozedTabAction: "none",
+	tabGroups: false,
+	tabGroupColor: "priority",
+	collapseSnoozedGroups: false,
+	queueSync: false,
+	tags: [],
+	autoMarkRules: [],
+	completionRules: [],
+	quietHours: [],
 } satisfies Settings;
 
 /**
@@ -74,7 +380,45 @@ export function getMostRecentLastMoveTime(rules: Rule[]): number | null {
 }
 
 /**
- * Find the rule(s) that will execute next based on their cron schedules
+ * Get all the cron expressions a rule runs on, skipping empty ones
+ */
+export function getRuleCronSchedules(
+	rule: Pick<Rule, "cronSchedule" | "extraCronSchedules">,
+): string[] {
+	return [rule.cronSchedule, ...(rule.extraCronSchedules ?? [])].filter(
+		(cron) => cron?.trim(),
+	);
+}
+
+/**
+ * Get the times of a rule's one-time runs in epoch ms, in order, skipping
+ * unreadable ones
+ */
+export function getRuleRunOnceTimes(rule: Pick<Rule, "runOnceAt">): number[] {
+	return (rule.runOnceAt ?? [])
+		.map((time) => Date.parse(time))
+		.filter((time) => Number.isFinite(time))
+		.sort((a, b) => a - b);
+}
+
+/**
+ * Remove one-time runs that are due or past from all rules
+ * @returns The same array if no rule had a one-time run to remove
+ */
+export function expireRunOnceTimes(rules: Rule[], now: number): Rule[] {
+	if (!rules.some((rule) => getRuleRunOnceTimes(rule).some((t) => t <= now))) {
+		return rules;
+	}
+	return rules.map((rule) => {
+		if (!rule.runOnceAt) return rule;
+		const runOnceAt = rule.runOnceAt.filter((time) => Date.parse(time) > now);
+		return { ...rule, runOnceAt: runOnceAt.length > 0 ? runOnceAt : undefined };
+	});
+}
+
+/**
+ * Find the rule(s) that will execute next based on their cron schedules and
+ * one-time runs
  * Returns an array of rule indices that have the same earliest execution time
  */
 export function getNextExecutingRulesWithParser(
@@ -93,36 +437,47 @@ export function getNextExecutingRulesWithParser(
 
 	for (let i = 0; i < rules.length; i++) {
 		const rule = rules[i];
+		let ruleExecutionTime: number | null = null;
+
+		// Rules with no scheduled run have no cron expressions or one-time runs
+		for (const cronSchedule of getRuleCronSchedules(rule)) {
+			try {
+				const options = {
+					currentDate: new Date(),
+					strict: false,
+					...(rule.timezone && { tz: rule.timezone }),
+				};
 
-		// Skip rules with no scheduled run (empty cron expression)
-		if (!rule.cronSchedule || !rule.cronSchedule.trim()) {
-			continue;
+				const interval = CronExpressionParser.parse(cronSchedule, options);
+				const executionTime = interval.next().toDate().getTime();
+				if (ruleExecutionTime === null || executionTime < ruleExecutionTime) {
+					ruleExecutionTime = executionTime;
+				}
+			} catch (_err) {}
 		}
+		const now = Date.now();
+		const nextRunOnceTime = getRuleRunOnceTimes(rule).find((t) => t > now);
+		if (
+			nextRunOnceTime !== undefined &&
+			(ruleExecutionTime === null || nextRunOnceTime < ruleExecutionTime)
+		) {
+			ruleExecutionTime = nextRunOnceTime;
+		}
+		if (ruleExecutionTime === null) continue;
 
-		try {
-			const options = {
-				currentDate: new Date(),
-				strict: false,
-			};
-
-			const interval = CronExpressionParser.parse(rule.cronSchedule, options);
-			const nextDate = interval.next().toDate();
-			const executionTime = nextDate.getTime();
-
-			if (!nextExecutionTime) {
-				// First rule with a schedule
-				nextExecutionTime = executionTime;
-				nextRuleIndices.push(i);
-			} else if (executionTime === nextExecutionTime) {
-				// Same execution time as current earliest
-				nextRuleIndices.push(i);
-			} else if (executionTime < nextExecutionTime) {
-				// Found earlier execution time
-				nextExecutionTime = executionTime;
-				nextRuleIndices.length = 0; // Clear previous indices
-				nextRuleIndices.push(i);
-			}
-		} catch (_err) {}
+		if (!nextExecutionTime) {
+			// First rule with a schedule
+			nextExecutionTime = ruleExecutionTime;
+			nextRuleIndices.push(i);
+		} else if (ruleExecutionTime === nextExecutionTime) {
+			// Same execution time as current earliest
+			nextRuleIndices.push(i);
+		} else if (ruleExecutionTime < nextExecutionTime) {
+			// Found earlier execution time
+			nextExecutionTime = ruleExecutionTime;
+			nextRuleIndices.length = 0; // Clear previous indices
+			nextRuleIndices.push(i);
+		}
 	}
 
 	return nextRuleIndices;
@@ -145,6 +500,8 @@ function migrateQueueMode(queueMode?: string): Rule["queueMode"] | undefined {
 		case "newest":
 		case "leftmost":
 		case "rightmost":
+		case "priority-oldest":
+		case "priority-leftmost":
 			return queueMode as Rule["queueMode"];
 		default:
 			return undefined;
@@ -164,9 +521,14 @@ export async function getSettings(): Promise<Settings> {
 		const settingsWithDefaults = await browser.storage.sync.get(DEFAULTS);
 		const settings = settingsWithDefaults as Settings;
 
-		// Migrate any rules with old queue mode values
+		// Migrate any rules with old queue mode values or renamed fields
 		let needsRuleMigration = false;
-		const migratedRules = settings.rules.map((rule) => {
+		const migratedRules = settings.rules.map((legacyRule: LegacyRule) => {
+			const { deferWhileTyping, ...rule } = legacyRule;
+			if ("deferWhileTyping" in legacyRule) {
+				needsRuleMigration = true;
+				if (deferWhileTyping) rule.deferWhileInUse = true;
+			}
 			const migratedQueueMode = migrateQueueMode(rule.queueMode);
 			if (migratedQueueMode && migratedQueueMode !== rule.queueMode) {
 				needsRuleMigration = true;
@@ -176,7 +538,7 @@ export async function getSettings(): Promise<Settings> {
 		});
 
 		if (needsRuleMigration) {
-			console.log("Migrating rules with old queue mode values");
+			console.log("Migrating rules with old queue modes or fields");
 			settings.rules = migratedRules;
 			await browser.storage.sync.set(settings);
 		}
@@ -1,16 +1,398 @@
 /// <reference types="./ambient.d.ts" />
 
+import { recordHistoryEvent } from "./history.js";
+import {
+	createTabNotification,
+	NOTIFICATION_ACTIONS,
+} from "./notifications.js";
 import { isSnoozeActive } from "./snooze.js";
 
 if (typeof browser === "undefined") globalThis.browser = chrome;
 
+/**
+ * Sort rank of each priority, highest priority first
+ * @type {Record<import("./storage").Priority, number>}
+ */
+const PRIORITY_RANK = {
+	high: 0,
+	normal: 1,
+	low: 2,
+};
+
+/**
+ * storage.local key of the durable copy of each open actionable tab's session
+ * value, with its URL and title, keyed by tab ID. Session values are lost when
+ * session restore is off or the profile is reset, so this copy is what
+ * restores them on startup and describes tabs after they are closed.
+ */
+export const TAB_CACHE_KEY = "actionableTabCache";
+
+/** storage.local key of the actionable tabs closed most recently, newest first */
+export const RECENTLY_CLOSED_KEY = "recentlyClosedActionableTabs";
+
+/** Closed actionable tabs kept for reopening */
+const MAX_RECENTLY_CLOSED = 20;
+
+/**
+ * storage.local key of the URLs unmarked or completed on this device, with
+ * when, for the synced queue to tell the other devices. Tabs that were only
+ * closed, or not restored after a restart, are left out.
+ */
+const UNMARKED_URLS_KEY = "unmarkedActionableUrls";
+
+/** Unmarked URLs remembered for the synced queue */
+const MAX_UNMARKED_URLS = 200;
+
+/** @type {Promise<unknown>} Serializes read-modify-write updates of the tab cache */
+let tabCacheUpdate = Promise.resolve();
+
+/** @type {Promise<unknown>} Serializes read-modify-write updates of the recently closed tabs */
+let recentlyClosedUpdate = Promise.resolve();
+
+/** @type {Promise<unknown>} Serializes read-modify-write updates of the unmarked URLs */
+let unmarkedUrlsUpdate = Promise.resolve();
+
+/**
+ * Apply an update to the actionable tab cache after any pending update
+ * @param {(cache: Record<string, import("./storage").StoredActionableTab>) => void} update
+ * @returns {Promise<unknown>}
+ */
+function updateTabCache(update) {
+	tabCacheUpdate = tabCacheUpdate
+		.then(async () => {
+			const { [TAB_CACHE_KEY]: cache = {} } =
+				await browser.storage.local.get(TAB_CACHE_KEY);
+			update(
+				/** @type {Record<string, import("./storage").StoredActionableTab>} */ (
+					cache
+				),
+			);
+			await browser.storage.local.set({ [TAB_CACHE_KEY]: cache });
+		})
+		.catch((error) => {
+			console.error("Error updating actionable tab cache:", error);
+		});
+	return tabCacheUpdate;
+}
+
+/**
+ * Get the durable copies of the open actionable tabs
+ * @returns {Promise<Record<string, import("./storage").StoredActionableTab>>} Entries by tab ID
+ */
+export async function getCachedActionableTabs() {
+	const { [TAB_CACHE_KEY]: cache = {} } =
+		await browser.storage.local.get(TAB_CACHE_KEY);
+	return /** @type {Record<string, import("./storage").StoredActionableTab>} */ (
+		cache
+	);
+}
+
+/**
+ * Remember the URL, title and actionable data of an actionable tab
+ * @param {import('webextension-polyfill').Tabs.Tab & {id: number}} tab
+ * @param {import("./storage").ActionableData} data
+ */
+export async function cacheActionableTab(tab, data) {
+	await updateTabCache((cache) => {
+		cache[tab.id] = {
+			url: tab.url ?? "",
+			title: tab.title ?? "",
+			data,
+		};
+	});
+}
+
+/**
+ * Get and forget the cached entry of a tab
+ * @param {number} tabId
+ * @returns {Promise<import("./storage").StoredActionableTab | undefined>}
+ */
+async function takeCachedActionableTab(tabId) {
+	/** @type {import("./storage").StoredActionableTab | undefined} */
+	let entry;
+	await updateTabCache((cache) => {
+		entry = cache[tabId];
+		delete cache[tabId];
+	});
+	return entry;
+}
+
+/**
+ * Get the actionable tabs closed most recently, newest first
+ * @returns {Promise<import("./storage").ClosedActionableTab[]>}
+ */
+export async function getRecentlyClosedTabs() {
+	const { [RECENTLY_CLOSED_KEY]: recentlyClosed = [] } =
+		await browser.storage.local.get(RECENTLY_CLOSED_KEY);
+	return /** @type {import("./storage").ClosedActionableTab[]} */ (
+		recentlyClosed
+	);
+}
+
+/**
+ * Apply an update to the recently closed tabs after any pending update
+ * @param {(recentlyClosed: import("./storage").ClosedActionableTab[]) => import("./storage").ClosedActionableTab[]} update
+ * @returns {Promise<unknown>}
+ */
+function updateRecentlyClosedTabs(update) {
+	recentlyClosedUpdate = recentlyClosedUpdate
+		.then(async () => {
+			const recentlyClosed = update(await getRecentlyClosedTabs());
+			await browser.storage.local.set({
+				[RECENTLY_CLOSED_KEY]: recentlyClosed.slice(0, MAX_RECENTLY_CLOSED),
+			});
+		})
+		.catch((error) => {
+			console.error("Error updating recently closed actionable tabs:", error);
+		});
+	return recentlyClosedUpdate;
+}
+
+/**
+ * Get the URLs unmarked or completed on this device
+ * @returns {Promise<Record<string, number>>} When each was unmarked, in epoch ms
+ */
+export async function getUnmarkedUrls() {
+	const { [UNMARKED_URLS_KEY]: unmarkedUrls = {} } =
+		await browser.storage.local.get(UNMARKED_URLS_KEY);
+	return /** @type {Record<string, number>} */ (unmarkedUrls);
+}
+
+/**
+ * Remember that a URL was unmarked or completed on this device, keeping the
+ * most recent ones
+ * @param {string} url
+ * @returns {Promise<unknown>}
+ */
+function recordUnmarkedUrl(url) {
+	unmarkedUrlsUpdate = unmarkedUrlsUpdate
+		.then(async () => {
+			const unmarkedUrls = { ...(await getUnmarkedUrls()), [url]: Date.now() };
+			await browser.storage.local.set({
+				[UNMARKED_URLS_KEY]: Object.fromEntries(
+					Object.entries(unmarkedUrls)
+						.sort(([, a], [, b]) => b - a)
+						.slice(0, MAX_UNMARKED_URLS),
+				),
+			});
+		})
+		.catch((error) => {
+			console.error("Error recording an unmarked URL:", error);
+		});
+	return unmarkedUrlsUpdate;
+}
+
+/**
+ * Forget a recently closed tab, once it has been reopened
+ * @param {number} closedAt
+ * @param {string} url
+ */
+export async function forgetRecentlyClosedTab(closedAt, url) {
+	await updateRecentlyClosedTabs((recentlyClosed) =>
+		recentlyClosed.filter((t) => t.closedAt !== closedAt || t.url !== url),
+	);
+}
+
+/**
+ * Get and forget the cached entry of a closed tab, keeping it in the recently
+ * closed tabs so it can be reopened
+ * @param {number} tabId
+ * @returns {Promise<import("./storage").StoredActionableTab | undefined>} The entry, if the tab was actionable
+ */
+export async function takeClosedActionableTab(tabId) {
+	const entry = await takeCachedActionableTab(tabId);
+	if (entry) {
+		await updateRecentlyClosedTabs((recentlyClosed) => [
+			{ ...entry, closedAt: Date.now() },
+			...recentlyClosed,
+		]);
+	}
+	return entry;
+}
+
+/**
+ * Take the entry of a previous session that belongs to a tab: the entry of the
+ * same tab ID if its URL still matches, e.g. after the extension was updated,
+ * or else the first entry with the tab's URL
+ * @param {Map<string, import("./storage").StoredActionableTab>} entries - Unclaimed entries by tab ID
+ * @param {import('webextension-polyfill').Tabs.Tab & {id: number}} tab
+ * @returns {import("./storage").StoredActionableTab | undefined}
+ */
+function claimPreviousEntry(entries, tab) {
+	if (!tab.url) return undefined;
+
+	const key =
+		entries.get(String(tab.id))?.url === tab.url
+			? String(tab.id)
+			: [...entries].find(([, entry]) => entry.url === tab.url)?.[0];
+	if (key == null) return undefined;
+
+	const entry = entries.get(key);
+	entries.delete(key);
+	return entry;
+}
+
+/**
+ * Rebuild the actionable tab cache from the session values of all open tabs.
+ * Tab IDs change across restarts, so entries of a previous session are matched
+ * to open tabs by URL instead. Matched tabs without a session value, e.g. with
+ * session restore off, get their actionable state back; entries whose tab is
+ * not open any more are kept as recently closed.
+ * @returns {Promise<number>} Number of tabs whose actionable state was restored
+ */
+export async function rebuildActionableTabCache() {
+	const { [TAB_CACHE_KEY]: previousCache = {} } =
+		await browser.storage.local.get(TAB_CACHE_KEY);
+	const previousEntries = new Map(
+		Object.entries(
+			/** @type {Record<string, import("./storage").StoredActionableTab>} */ (
+				previousCache
+			),
+		)
+			// Entries cached by older versions have no data to restore
+			.filter(([, entry]) => entry.data != null),
+	);
+
+	const allTabs =
+		/** @type {(import('webextension-polyfill').Tabs.Tab & {id: number})[]} */ (
+			(await browser.tabs.query({})).filter((t) => t.id != null)
+		);
+	/** @type {Record<string, import("./storage").StoredActionableTab>} */
+	const entries = {};
+	/** @type {typeof allTabs} */
+	const unmarkedTabs = [];
+	for (const tab of allTabs) {
+		const data = await getActionableData(tab.id);
+		if (data) {
+			entries[tab.id] = { url: tab.url ?? "", title: tab.title ?? "", data };
+			claimPreviousEntry(previousEntries, tab);
+		} else {
+			unmarkedTabs.push(tab);
+		}
+	}
+
+	let restored = 0;
+	for (const tab of unmarkedTabs) {
+		const entry = claimPreviousEntry(previousEntries, tab);
+		if (!entry) continue;
+
+		await browser.sessions.setTabValue(tab.id, "actionable", entry.data);
+		entries[tab.id] = { ...entry, title: tab.title ?? entry.title };
+		restored++;
+	}
+
+	await updateTabCache((cache) => {
+		for (const key of Object.keys(cache)) delete cache[key];
+		Object.assign(cache, entries);
+	});
+
+	if (previousEntries.size > 0) {
+		const closedAt = Date.now();
+		await updateRecentlyClosedTabs((recentlyClosed) => [
+			...[...previousEntries.values()].map((entry) => ({ ...entry, closedAt })),
+			...recentlyClosed,
+		]);
+	}
+	if (restored > 0) {
+		console.log(`Restored actionable state of ${restored} tab(s)`);
+	}
+	return restored;
+}
+
+/**
+ * Get the actionable data stored in a tab's session values
+ * @param {number} tabId
+ * @returns {Promise<import("./storage").ActionableData | undefined>}
+ */
+export async function getActionableData(tabId) {
+	return /** @type {import("./storage").ActionableData | undefined} */ (
+		await browser.sessions.getTabValue(tabId, "actionable")
+	);
+}
+
+/**
+ * Store actionable data in a tab's session values, marking it as actionable
+ * @param {number} tabId
+ * @param {import("./storage").ActionableData} data
+ */
+export async function setActionableData(tabId, data) {
+	const isNewlyMarked = !(await getActionableData(tabId));
+	await browser.sessions.setTabValue(tabId, "actionable", data);
+
+	try {
+		const tab = await browser.tabs.get(tabId);
+		await cacheActionableTab(
+			/** @type {typeof tab & {id: number}} */ (tab),
+			data,
+		);
+		if (isNewlyMarked) {
+			await recordHistoryEvent({
+				type: "mark",
+				at: Date.now(),
+				url: tab.url,
+				title: tab.title,
+			});
+		}
+	} catch (_err) {
+		// The tab is gone, so there is nothing to remember
+	}
+}
+
+/**
+ * Remove the actionable data from a tab's session values
+ * @param {number} tabId
+ * @param {string} [completionReason] - Why the tab's task counts as done, if it was unmarked by a completion rule
+ * @param {boolean} [remote] - Whether another device unmarked the tab, which
+ * has told the others already
+ */
+export async function removeActionableData(
+	tabId,
+	completionReason,
+	remote = false,
+) {
+	const data = await getActionableData(tabId);
+	await browser.sessions.removeTabValue(tabId, "actionable");
+	const cached = await takeCachedActionableTab(tabId);
+	if (data?.pinnedUntilVisited) {
+		// The tab may be closing, which must not keep the unmark from the history
+		try {
+			await browser.tabs.update(tabId, { pinned: false });
+		} catch (error) {
+			console.log(`Tab ${tabId} is no longer available:`, String(error));
+		}
+	}
+
+	if (data && cached?.url && !remote) await recordUnmarkedUrl(cached.url);
+
+	if (data) {
+		await recordHistoryEvent({
+			type: completionReason ? "complete" : "unmark",
+			at: Date.now(),
+			url: cached?.url,
+			title: cached?.title,
+			markedAt: data.markedAt,
+			detail: completionReason,
+		});
+	}
+}
+
 /**
  * Get actionable tabs sorted according to queue mode
  * @param {string} queueMode - The queue mode setting
- * @returns {Promise<Array<{tabId: number, data: {markedAt: number}, tab: import('webextension-polyfill').Tabs.Tab & {id: number}}>>}
+ * @param {number} [windowId] - Only include tabs from this window, or all normal windows if omitted
+ * @param {string[]} [tagFilter] - Only include tabs carrying at least one of these tags, or all tabs if omitted or empty
+ * @param {boolean} [includeSnoozed] - Include snoozed tabs, which the queue otherwise skips
+ * @returns {Promise<Array<{tabId: number, data: import("./storage").ActionableData, tab: import('webextension-polyfill').Tabs.Tab & {id: number}}>>}
  */
-async function getActionableTabsSorted(queueMode) {
-	const allTabs = await browser.tabs.query({ currentWindow: true });
+export async function getActionableTabsSorted(
+	queueMode,
+	windowId,
+	tagFilter,
+	includeSnoozed = false,
+) {
+	const allTabs = await browser.tabs.query(
+		windowId == null ? { windowType: "normal" } : { windowId },
+	);
 	const validTabs =
 		/** @type {(import('webextension-polyfill').Tabs.Tab & {id: number})[]} */ (
 			allTabs.filter((t) => t.id != null)
@@ -18,10 +400,12 @@ async function getActionableTabsSorted(queueMode) {
 
 	const actionableTabsData = [];
 	for (const tab of validTabs) {
-		const actionableData = /** @type {{ markedAt: number } | undefined} */ (
-			await browser.sessions.getTabValue(tab.id, "actionable")
-		);
-		if (actionableData) {
+		const actionableData = await getActionableData(tab.id);
+		if (
+			actionableData &&
+			matchesTagFilter(actionableData, tagFilter) &&
+			(includeSnoozed || !isTabSnoozed(actionableData))
+		) {
 			actionableTabsData.push({
 				tabId: tab.id,
 				data: actionableData,
@@ -32,10 +416,14 @@ async function getActionableTabsSorted(queueMode) {
 
 	switch (queueMode) {
 		case "oldest":
-			actionableTabsData.sort((a, b) => a.data.markedAt - b.data.markedAt);
+			actionableTabsData.sort(
+				(a, b) => getQueueOrder(a.data) - getQueueOrder(b.data),
+			);
 			break;
 		case "newest":
-			actionableTabsData.sort((a, b) => b.data.markedAt - a.data.markedAt);
+			actionableTabsData.sort(
+				(a, b) => getQueueOrder(b.data) - getQueueOrder(a.data),
+			);
 			break;
 		case "leftmost":
 			actionableTabsData.sort((a, b) => a.tab.index - b.tab.index);
@@ -43,11 +431,141 @@ async function getActionableTabsSorted(queueMode) {
 		case "rightmost":
 			actionableTabsData.sort((a, b) => b.tab.index - a.tab.index);
 			break;
+		case "priority-oldest":
+			actionableTabsData.sort(
+				(a, b) =>
+					comparePriority(a.data, b.data) ||
+					getQueueOrder(a.data) - getQueueOrder(b.data),
+			);
+			break;
+		case "priority-leftmost":
+			actionableTabsData.sort(
+				(a, b) => comparePriority(a.data, b.data) || a.tab.index - b.tab.index,
+			);
+			break;
 	}
 
 	return actionableTabsData;
 }
 
+/**
+ * Get the key an actionable tab is sorted by in the time-based queue modes
+ * @param {import("./storage").ActionableData} data
+ * @returns {number}
+ */
+function getQueueOrder(data) {
+	return data.queueOrder ?? data.markedAt;
+}
+
+/**
+ * Check whether an actionable tab is snoozed, hiding it from the queue
+ * @param {import("./storage").ActionableData} data
+ * @returns {boolean}
+ */
+export function isTabSnoozed(data) {
+	return data.snoozedUntil != null && data.snoozedUntil > Date.now();
+}
+
+/**
+ * Send an actionable tab to the back of the queue: it sorts as if marked now,
+ * and moves to the end of the tab strip opposite the one it was pulled to
+ * @param {number} tabId
+ * @param {string} moveDirection - The direction the tab was pulled in ('left' or 'right')
+ */
+export async function skipTab(tabId, moveDirection) {
+	const data = await getActionableData(tabId);
+	if (!data) return;
+
+	await setActionableData(tabId, { ...data, queueOrder: Date.now() });
+	const tab =
+		/** @type {import('webextension-polyfill').Tabs.Tab & {id: number}} */ (
+			await browser.tabs.get(tabId)
+		);
+	await pullTab(tab, moveDirection === "right" ? "left" : "right");
+}
+
+/**
+ * Check whether an actionable tab carries at least one of the filter tags
+ * @param {import("./storage").ActionableData} data
+ * @param {string[] | undefined} tagFilter - Empty or undefined matches every tab
+ * @returns {boolean}
+ */
+function matchesTagFilter(data, tagFilter) {
+	if (!tagFilter?.length) return true;
+	return tagFilter.some((tag) => data.tags?.includes(tag));
+}
+
+/**
+ * Set the tags of a tab, marking it as actionable if needed
+ * @param {number} tabId
+ * @param {string[]} tags
+ */
+export async function setTabTags(tabId, tags) {
+	const { tags: _previous, ...data } = (await getActionableData(tabId)) ?? {
+		markedAt: Date.now(),
+	};
+	await setActionableData(tabId, tags.length > 0 ? { ...data, tags } : data);
+}
+
+/**
+ * Compare two actionable tabs by priority, highest priority first
+ * @param {import("./storage").ActionableData} a
+ * @param {import("./storage").ActionableData} b
+ * @returns {number}
+ */
+function comparePriority(a, b) {
+	return (
+		PRIORITY_RANK[a.priority ?? "normal"] -
+		PRIORITY_RANK[b.priority ?? "normal"]
+	);
+}
+
+/**
+ * Set the priority of a tab, marking it as actionable if needed
+ * @param {number} tabId
+ * @param {import("./storage").Priority} priority
+ */
+export async function setTabPriority(tabId, priority) {
+	const { priority: _previous, ...data } = (await getActionableData(tabId)) ?? {
+		markedAt: Date.now(),
+	};
+	await setActionableData(
+		tabId,
+		priority === "normal" ? data : { ...data, priority },
+	);
+}
+
+/**
+ * Swap the queue positions of two actionable tabs: their sort keys for the
+ * time-based queue modes, and their places in the tab strip for the
+ * position-based ones if they share a window
+ * @param {number} tabId
+ * @param {number} otherTabId
+ */
+export async function swapQueuePosition(tabId, otherTabId) {
+	const data = await getActionableData(tabId);
+	const otherData = await getActionableData(otherTabId);
+	if (!data || !otherData) return;
+
+	await setActionableData(tabId, {
+		...data,
+		queueOrder: getQueueOrder(otherData),
+	});
+	await setActionableData(otherTabId, {
+		...otherData,
+		queueOrder: getQueueOrder(data),
+	});
+
+	const tab = await browser.tabs.get(tabId);
+	const otherTab = await browser.tabs.get(otherTabId);
+	if (tab.windowId !== otherTab.windowId || tab.pinned !== otherTab.pinned) {
+		return;
+	}
+	// Moving the first tab shifts the second by one towards it
+	await browser.tabs.move(tabId, { index: otherTab.index });
+	await browser.tabs.move(otherTabId, { index: tab.index });
+}
+
 /**
  * Get display text for queue mode
  * @param {string} queueMode - The queue mode
@@ -63,35 +581,111 @@ function getQueueModeDisplayText(queueMode) {
 			return "Leftmost";
 		case "rightmost":
 			return "Rightmost";
+		case "priority-oldest":
+			return "Highest priority, oldest";
+		case "priority-leftmost":
+			return "Highest priority, leftmost";
 		default:
 			return queueMode;
 	}
 }
 
+/**
+ * Get display text for window scope, appended to pull descriptions
+ * @param {string | undefined} windowScope - The window scope
+ * @returns {string} Display text for the window scope, empty for the focused window
+ */
+function getWindowScopeDisplayText(windowScope) {
+	switch (windowScope) {
+		case "each":
+			return " in every window";
+		case "gather":
+			return " from all windows";
+		default:
+			return "";
+	}
+}
+
+/**
+ * Get display text for where a rule moves tabs, with its preposition
+ * @param {string} moveDirection - The move direction
+ * @param {import("./storage").MoveOptions} moveOptions - The move options
+ * @returns {string} Display text for the move target, e.g. "to top/left"
+ */
+function getMoveTargetDisplayText(moveDirection, moveOptions) {
+	const edgeText = moveDirection === "right" ? "bottom/right" : "top/left";
+	const offset = moveOptions.activeTabOffset ?? 1;
+	switch (moveOptions.moveTarget) {
+		case "position":
+			return `to position ${moveOptions.targetPosition ?? 1}`;
+		case "active":
+			if (offset === 1) return "next to the active tab";
+			if (offset === -1) return "before the active tab";
+			return `${Math.abs(offset)} tabs ${offset > 0 ? "right" : "left"} of the active tab`;
+		case "window":
+			return `to ${edgeText} of the actionable window`;
+		case "push-others":
+			return `to ${edgeText} by moving other tabs away`;
+		default:
+			return `to ${edgeText}`;
+	}
+}
+
+/**
+ * Get display text for what a rule does to tabs after moving them
+ * @param {import("./storage").MoveOptions} moveOptions - The move options
+ * @returns {string} Display text in parentheses, empty if the rule only moves tabs
+ */
+function getMoveExtrasDisplayText(moveOptions) {
+	const extras = [
+		moveOptions.focusPulledTab && "focused",
+		moveOptions.pinPulledTabs && "pinned until visited",
+		moveOptions.reloadStaleMinutes != null &&
+			`reloaded if unvisited for ${moveOptions.reloadStaleMinutes} min`,
+	].filter(Boolean);
+	return extras.length > 0 ? ` (${extras.join(", ")})` : "";
+}
+
 /**
  * Generate context menu item title for pulling actionable tabs
  * @param {string} queueMode - The queue mode
  * @param {string} moveDirection - The move direction
+ * @param {string} [windowScope] - The window scope
+ * @param {string[]} [tagFilter] - The tags the rule is limited to
+ * @param {import("./storage").MoveOptions} [moveOptions] - The move options
  * @returns {string} Context menu item title
  */
-export function getContextMenuTitle(queueMode, moveDirection) {
+export function getContextMenuTitle(
+	queueMode,
+	moveDirection,
+	windowScope,
+	tagFilter,
+	moveOptions = {},
+) {
 	const queueModeText = getQueueModeDisplayText(queueMode);
-	const directionText = moveDirection === "left" ? "Top/Left" : "Bottom/Right";
-	const title = `Pull ${queueModeText} actionable tab to ${directionText}`;
+	const targetText = getMoveTargetDisplayText(moveDirection, moveOptions);
+	const title = `Pull ${queueModeText} actionable tab ${targetText}${getWindowScopeDisplayText(windowScope)}`;
 
 	// Use Intl for proper sentence case formatting
-	return title
+	const sentenceCaseTitle = title
 		.toLocaleLowerCase("en-US")
 		.replace(/^\w/, (c) => c.toLocaleUpperCase("en-US"));
+
+	// Tag names keep their own casing
+	const taggedTitle = tagFilter?.length
+		? `${sentenceCaseTitle} tagged ${tagFilter.join(", ")}`
+		: sentenceCaseTitle;
+	return `${taggedTitle}${getMoveExtrasDisplayText(moveOptions)}`;
 }
 
 /**
  * Get the target index for moving actionable tabs based on moveDirection setting
  * @param {string} moveDirection - The move direction setting ('left' or 'right')
+ * @param {number} windowId - The window the tabs are moved into
  * @returns {Promise<number>}
  */
-async function getTargetIndexForActionableTabs(moveDirection) {
-	const allTabs = await browser.tabs.query({ currentWindow: true });
+async function getTargetIndexForActionableTabs(moveDirection, windowId) {
+	const allTabs = await browser.tabs.query({ windowId });
 	const validTabs =
 		/** @type {(import('webextension-polyfill').Tabs.Tab & {id: number})[]} */ (
 			allTabs.filter((t) => t.id != null)
@@ -107,76 +701,631 @@ async function getTargetIndexForActionableTabs(moveDirection) {
 	}
 }
 
+/**
+ * Whether the browser has tab groups and the extension may use them
+ * @returns {boolean}
+ */
+export function supportsTabGroups() {
+	return (
+		typeof browser.tabGroups !== "undefined" &&
+		typeof browser.tabs.group === "function"
+	);
+}
+
+/**
+ * storage.session key of the IDs of the tab groups the extension made. Group
+ * IDs only hold until the browser restarts, and so does this storage area.
+ */
+const ACTIONABLE_GROUPS_KEY = "actionableGroupIds";
+
+/** @type {Promise<unknown>} Serializes read-modify-write updates of the Actionable group IDs */
+let actionableGroupsUpdate = Promise.resolve();
+
+/**
+ * Get the IDs of the tab groups the extension made
+ * @returns {Promise<number[] | undefined>} undefined if none were recorded
+ * since the browser started
+ */
+export async function getActionableGroupIds() {
+	const { [ACTIONABLE_GROUPS_KEY]: groupIds } =
+		await browser.storage.session.get(ACTIONABLE_GROUPS_KEY);
+	return /** @type {number[] | undefined} */ (groupIds);
+}
+
+/**
+ * Apply an update to the IDs of the tab groups the extension made after any
+ * pending update
+ * @param {(groupIds: Set<number>) => void} update
+ * @returns {Promise<unknown>}
+ */
+export function updateActionableGroupIds(update) {
+	actionableGroupsUpdate = actionableGroupsUpdate
+		.then(async () => {
+			const groupIds = new Set((await getActionableGroupIds()) ?? []);
+			update(groupIds);
+			await browser.storage.session.set({
+				[ACTIONABLE_GROUPS_KEY]: [...groupIds],
+			});
+		})
+		.catch((error) => {
+			console.error("Error updating the Actionable group IDs:", error);
+		});
+	return actionableGroupsUpdate;
+}
+
+/**
+ * Move an index that falls inside a tab group to just after that group, so
+ * tabs moved there don't join the group
+ * @param {number} windowId
+ * @param {number} index - The index the tabs are moved to, as in tabs.move
+ * @param {number[]} movingTabIds - The tabs being moved, which leave their place first
+ * @returns {Promise<number>}
+ */
+async function getIndexOutsideGroups(windowId, index, movingTabIds) {
+	const windowTabs = (await browser.tabs.query({ windowId }))
+		.filter((t) => t.id == null || !movingTabIds.includes(t.id))
+		.sort((a, b) => a.index - b.index);
+	const before = windowTabs[index - 1];
+	const after = windowTabs[index];
+	const groupId = before?.groupId ?? -1;
+	if (groupId === -1 || after?.groupId !== groupId) return index;
+
+	return windowTabs.map((t) => t.groupId).lastIndexOf(groupId) + 1;
+}
+
+/**
+ * Move a tab out of one of the Actionable groups, which stays where it is
+ * with the rest of the queue. The tab gets a group of the same kind where it
+ * lands, or joins the one it lands after, e.g. of a tab pulled along with it.
+ * @param {import('webextension-polyfill').Tabs.Tab & {id: number}} tab - The tab to move, as it is now
+ * @param {number} windowId
+ * @param {number} index - As in tabs.move, -1 for the end
+ * @returns {Promise<import('webextension-polyfill').Tabs.Tab>} The moved tab
+ */
+async function moveTabOutOfActionableGroup(tab, windowId, index) {
+	const group = await browser.tabGroups.get(
+		/** @type {number} */ (tab.groupId),
+	);
+	await browser.tabs.ungroup(tab.id);
+	const movedTab = await browser.tabs.move(tab.id, {
+		windowId,
+		index:
+			index === -1
+				? index
+				: await getIndexOutsideGroups(windowId, index, [tab.id]),
+	});
+	const { index: newIndex } = Array.isArray(movedTab) ? movedTab[0] : movedTab;
+
+	const [tabBefore] = await browser.tabs.query({
+		windowId,
+		index: newIndex - 1,
+	});
+	const groupIdBefore = tabBefore?.groupId ?? -1;
+	const ownGroupIds = (await getActionableGroupIds()) ?? [];
+	if (groupIdBefore !== group.id && ownGroupIds.includes(groupIdBefore)) {
+		const groupBefore = await browser.tabGroups.get(groupIdBefore);
+		if (groupBefore.title === group.title) {
+			await browser.tabs.group({ groupId: groupIdBefore, tabIds: [tab.id] });
+			return browser.tabs.get(tab.id);
+		}
+	}
+
+	const groupId = await browser.tabs.group({
+		tabIds: [tab.id],
+		createProperties: { windowId },
+	});
+	await browser.tabGroups.update(groupId, {
+		title: group.title,
+		color: group.color,
+	});
+	await updateActionableGroupIds((groupIds) => {
+		groupIds.add(groupId);
+	});
+	return browser.tabs.get(tab.id);
+}
+
+/**
+ * Move a tab without tearing tab groups apart. A tab in a group of the user's
+ * brings its group along to the index, and ends up at the group's end facing
+ * the move direction. Tabs of the Actionable groups leave their group behind,
+ * and other tabs are kept out of the groups they would land in.
+ * @param {import('webextension-polyfill').Tabs.Tab & {id: number}} tab - The tab to move, as it is now
+ * @param {number} windowId
+ * @param {number} index - As in tabs.move, -1 for the end
+ * @param {string} moveDirection - The move direction setting ('left' or 'right')
+ * @returns {Promise<import('webextension-polyfill').Tabs.Tab>} The moved tab
+ */
+async function moveTabRespectingGroups(tab, windowId, index, moveDirection) {
+	/** @param {number} tabIndex */
+	const moveTab = async (tabIndex) => {
+		const movedTab = await browser.tabs.move(tab.id, {
+			windowId,
+			index: tabIndex,
+		});
+		return Array.isArray(movedTab) ? movedTab[0] : movedTab;
+	};
+	if (!supportsTabGroups()) return moveTab(index);
+
+	const groupId = tab.groupId ?? -1;
+	// Tabs moving to another window leave their group behind
+	if (groupId === -1 || tab.windowId !== windowId) {
+		return moveTab(
+			index === -1
+				? index
+				: await getIndexOutsideGroups(windowId, index, [tab.id]),
+		);
+	}
+
+	if (((await getActionableGroupIds()) ?? []).includes(groupId)) {
+		return moveTabOutOfActionableGroup(tab, windowId, index);
+	}
+
+	const groupTabs = await browser.tabs.query({ windowId, groupId });
+	const indices = groupTabs.map((t) => t.index);
+	// Indices within the tab's own group keep it there, e.g. for the second
+	// tab pulled from a group that was just pulled
+	if (index >= Math.min(...indices) && index <= Math.max(...indices)) {
+		return moveTab(index);
+	}
+
+	const groupTabIds = groupTabs.flatMap((t) => (t.id != null ? [t.id] : []));
+	const windowTabCount = (await browser.tabs.query({ windowId })).length;
+	await browser.tabGroups.move(groupId, {
+		index:
+			index === -1 || index >= windowTabCount
+				? -1
+				: await getIndexOutsideGroups(windowId, index, groupTabIds),
+	});
+	const movedIndices = (await browser.tabs.query({ windowId, groupId })).map(
+		(t) => t.index,
+	);
+	return moveTab(
+		moveDirection === "right"
+			? Math.max(...movedIndices)
+			: Math.min(...movedIndices),
+	);
+}
+
+/**
+ * Get the index for the "position" target: a 1-based position among the
+ * unpinned tabs of a window
+ * @param {number} targetPosition
+ * @param {number} windowId
+ * @returns {Promise<number>}
+ */
+async function getIndexForPosition(targetPosition, windowId) {
+	const pinnedTabs = await browser.tabs.query({ windowId, pinned: true });
+	return pinnedTabs.length + Math.max(targetPosition, 1) - 1;
+}
+
+/**
+ * Get the index that puts a tab a number of tabs right (positive offset) or
+ * left (negative offset) of the active tab of a window
+ * @param {import('webextension-polyfill').Tabs.Tab} tab - The tab to move, as it is now
+ * @param {number} windowId
+ * @param {number} offset
+ * @returns {Promise<number>} The index, or -1 (the end) if the window has no active tab
+ */
+async function getIndexNextToActiveTab(tab, windowId, offset) {
+	const [activeTab] = await browser.tabs.query({ active: true, windowId });
+	if (!activeTab) return -1;
+
+	let index =
+		offset > 0 ? activeTab.index + offset : activeTab.index + offset + 1;
+	// Taking out a tab before the active tab shifts the active tab left
+	if (tab.windowId === windowId && tab.index < activeTab.index) index--;
+	return Math.max(index, 0);
+}
+
+/**
+ * Session value marking the dedicated "Actionable" window, which keeps it
+ * across restarts when windows are restored
+ */
+const ACTIONABLE_WINDOW_VALUE = "actionableWindow";
+
+/**
+ * Get the dedicated "Actionable" window, opening it with a tab if it isn't open
+ * @param {number} tabId - The tab to open the window with
+ * @returns {Promise<number>} The window ID
+ */
+async function getActionableWindowId(tabId) {
+	const windows = await browser.windows.getAll({ windowTypes: ["normal"] });
+	for (const window of windows) {
+		if (
+			window.id != null &&
+			(await browser.sessions.getWindowValue(
+				window.id,
+				ACTIONABLE_WINDOW_VALUE,
+			))
+		) {
+			return window.id;
+		}
+	}
+
+	const window = await browser.windows.create({ tabId, focused: false });
+	const windowId = /** @type {number} */ (window.id);
+	await browser.sessions.setWindowValue(
+		windowId,
+		ACTIONABLE_WINDOW_VALUE,
+		true,
+	);
+	try {
+		// Only Firefox can label windows
+		await browser.windows.update(windowId, { titlePreface: "Actionable - " });
+	} catch (_err) {}
+	console.log(`Opened the Actionable window ${windowId}`);
+	return windowId;
+}
+
+/**
+ * Reload tabs that were unloaded, or not visited for a while
+ * @param {(import('webextension-polyfill').Tabs.Tab & {id: number})[]} tabs
+ * @param {number} staleMinutes
+ */
+async function reloadStaleTabs(tabs, staleMinutes) {
+	const staleBefore = Date.now() - staleMinutes * 60_000;
+	for (const tab of tabs) {
+		if (!tab.discarded && (tab.lastAccessed ?? Date.now()) > staleBefore) {
+			continue;
+		}
+		try {
+			await browser.tabs.reload(tab.id);
+			console.log(`Reloaded stale tab ${tab.id} (${tab.title})`);
+		} catch (error) {
+			console.error(`Error reloading tab ${tab.id}:`, error);
+		}
+	}
+}
+
+/**
+ * Leave pulled tabs where they are and instead move the non-actionable tabs
+ * between them and the edge given by moveDirection to the other end of the
+ * tab strip. Pulled tabs from other windows are moved to that edge.
+ * @param {{tabId: number, tab: import('webextension-polyfill').Tabs.Tab & {id: number}}[]} tabsToMove
+ * @param {number} windowId
+ * @param {string} moveDirection
+ */
+async function moveOtherTabsAway(tabsToMove, windowId, moveDirection) {
+	const pinnedCount = (await browser.tabs.query({ windowId, pinned: true }))
+		.length;
+	const foreignTabIds = tabsToMove
+		.filter(({ tab }) => tab.windowId !== windowId)
+		.map(({ tabId }) => tabId);
+	if (foreignTabIds.length > 0) {
+		await browser.tabs.move(foreignTabIds, {
+			windowId,
+			index: moveDirection === "right" ? -1 : pinnedCount,
+		});
+	}
+
+	const pulledTabIds = new Set(tabsToMove.map(({ tabId }) => tabId));
+	const windowTabs = await browser.tabs.query({ windowId });
+	const pulledIndices = windowTabs
+		.filter((t) => t.id != null && pulledTabIds.has(t.id))
+		.map((t) => t.index);
+	const boundary =
+		moveDirection === "right"
+			? Math.min(...pulledIndices)
+			: Math.max(...pulledIndices);
+
+	const otherTabIds = [];
+	for (const t of windowTabs) {
+		if (t.id == null || t.pinned || pulledTabIds.has(t.id)) continue;
+		if (moveDirection === "right" ? t.index < boundary : t.index > boundary) {
+			continue;
+		}
+		// Grouped tabs stay with their group
+		if ((t.groupId ?? -1) !== -1) continue;
+		if (await getActionableData(t.id)) continue;
+		otherTabIds.push(t.id);
+	}
+	if (otherTabIds.length > 0) {
+		await browser.tabs.move(otherTabIds, {
+			windowId,
+			index: moveDirection === "right" ? pinnedCount : -1,
+		});
+		console.log(`Moved ${otherTabIds.length} other tab(s) away`);
+	}
+}
+
+/**
+ * Pin pulled tabs until they have been visited
+ * @param {number[]} tabIds
+ */
+async function pinTabsUntilVisited(tabIds) {
+	for (const tabId of tabIds) {
+		const tab = await browser.tabs.get(tabId);
+		const data = await getActionableData(tabId);
+		if (tab.pinned || tab.active || !data) continue;
+
+		await browser.tabs.update(tabId, { pinned: true });
+		await setActionableData(tabId, { ...data, pinnedUntilVisited: true });
+	}
+}
+
+/**
+ * Unpin a tab a rule pinned once it has been visited
+ * @param {number} tabId - A tab that was active
+ */
+export async function unpinVisitedTab(tabId) {
+	try {
+		const data = await getActionableData(tabId);
+		if (!data?.pinnedUntilVisited) return;
+
+		const { pinnedUntilVisited: _pinned, ...rest } = data;
+		await setActionableData(tabId, rest);
+		await browser.tabs.update(tabId, { pinned: false });
+	} catch (error) {
+		console.log(`Tab ${tabId} is no longer available:`, String(error));
+	}
+}
+
+/**
+ * Get the ID of the last focused window, which rules treat as the focused window
+ * @returns {Promise<number | undefined>}
+ */
+async function getFocusedWindowId() {
+	try {
+		const focusedWindow = await browser.windows.getLastFocused(
+			// The polyfill types only know windowTypes for getAll
+			/** @type {import('webextension-polyfill').Windows.GetAllGetInfoType} */ ({
+				windowTypes: ["normal"],
+			}),
+		);
+		return focusedWindow.id;
+	} catch (_err) {
+		return undefined;
+	}
+}
+
+/**
+ * Get the windows a rule acts on, paired with the window to gather tabs from
+ * @param {string} windowScope - The window scope setting
+ * @returns {Promise<{windowId: number, sourceWindowId: number | undefined}[]>} Target windows; an undefined source means all windows
+ */
+async function getWindowTargets(windowScope) {
+	if (windowScope === "each") {
+		const windows = await browser.windows.getAll({ windowTypes: ["normal"] });
+		return windows
+			.filter((w) => w.id != null)
+			.map((w) => {
+				const windowId = /** @type {number} */ (w.id);
+				return { windowId, sourceWindowId: windowId };
+			});
+	}
+
+	const focusedWindowId = await getFocusedWindowId();
+	if (focusedWindowId == null) return [];
+
+	return [
+		{
+			windowId: focusedWindowId,
+			sourceWindowId: windowScope === "gather" ? undefined : focusedWindowId,
+		},
+	];
+}
+
+/**
+ * Pull a single tab to the top/left or bottom/right of its own window
+ * @param {import('webextension-polyfill').Tabs.Tab & {id: number}} tab
+ * @param {string} moveDirection - The move direction setting ('left' or 'right')
+ * @returns {Promise<boolean>} Whether the tab changed position
+ */
+export async function pullTab(tab, moveDirection) {
+	const windowId = /** @type {number} */ (tab.windowId);
+	const targetIndex = await getTargetIndexForActionableTabs(
+		moveDirection,
+		windowId,
+	);
+
+	try {
+		const { index: newIndex } = await moveTabRespectingGroups(
+			tab,
+			windowId,
+			targetIndex,
+			moveDirection,
+		);
+		console.log(
+			`Pulled tab ${tab.id} (${tab.title}) from index ${tab.index} to ${newIndex}`,
+		);
+		return newIndex !== tab.index;
+	} catch (error) {
+		console.error(`Error pulling tab ${tab.id}:`, error);
+		return false;
+	}
+}
+
 /**
  * Move actionable tabs using specified rule parameters
- * @param {{queueMode: string, moveDirection: string, moveCount?: number, isManual?: boolean}} params - Rule parameters to use for the move
+ * @param {{queueMode: string, moveDirection: string, moveCount?: number, windowScope?: string, tagFilter?: string[], moveOptions?: import("./storage").MoveOptions, isManual?: boolean, ruleId?: string, isCatchUp?: boolean, tabIds?: number[]}} params - Rule parameters to use for the move, and the rule and trigger to record in the history. With tabIds, exactly those actionable tabs are moved as a group in their tab strip order, ignoring moveCount.
  * @returns {Promise<{moveResults: any[], anyTabMoved: boolean, directionText: string} | null>}
  */
 export async function moveActionableTabsForRule(params) {
-	const { queueMode, moveDirection, moveCount = 1, isManual = false } = params;
+	const {
+		queueMode,
+		moveDirection,
+		moveCount = 1,
+		windowScope = "focused",
+		tagFilter,
+		moveOptions = {},
+		isManual = false,
+		ruleId,
+		isCatchUp = false,
+		tabIds,
+	} = params;
 
-	if (!isManual && (await isSnoozeActive())) {
+	if (!isManual && (await isSnoozeActive(ruleId))) {
 		return null;
 	}
 
-	const actionableTabsData = await getActionableTabsSorted(queueMode);
+	const { moveTarget = "edge", activeTabOffset = 1 } = moveOptions;
+	const windowTargets = await getWindowTargets(windowScope);
+
+	const moveResults = [];
+	for (const { windowId: scopeWindowId, sourceWindowId } of windowTargets) {
+		const actionableTabsData = await getActionableTabsSorted(
+			queueMode,
+			sourceWindowId,
+			tagFilter,
+		);
+		if (actionableTabsData.length === 0) continue;
+
+		const tabsToMove = tabIds
+			? actionableTabsData
+					.filter(({ tabId }) => tabIds.includes(tabId))
+					.sort((a, b) => a.tab.index - b.tab.index)
+			: actionableTabsData.slice(0, moveCount);
+		if (tabsToMove.length === 0) continue;
+
+		if (moveOptions.reloadStaleMinutes != null) {
+			await reloadStaleTabs(
+				tabsToMove.map(({ tab }) => tab),
+				moveOptions.reloadStaleMinutes,
+			);
+		}
+
+		const windowId =
+			moveTarget === "window"
+				? await getActionableWindowId(tabsToMove[0].tabId)
+				: scopeWindowId;
 
-	if (actionableTabsData.length === 0) {
+		if (moveTarget === "push-others") {
+			try {
+				await moveOtherTabsAway(tabsToMove, windowId, moveDirection);
+			} catch (error) {
+				console.error("Error moving other tabs away:", error);
+			}
+			for (const { tabId, tab } of tabsToMove) {
+				const { index: newIndex, windowId: newWindowId } =
+					await browser.tabs.get(tabId);
+				moveResults.push({
+					tabId,
+					tab,
+					oldIndex: tab.index,
+					newIndex,
+					didMove: tab.index !== newIndex || tab.windowId !== newWindowId,
+				});
+			}
+			continue;
+		}
+
+		const targetIndex =
+			moveTarget === "position"
+				? await getIndexForPosition(moveOptions.targetPosition ?? 1, windowId)
+				: await getTargetIndexForActionableTabs(moveDirection, windowId);
+
+		for (let i = 0; i < tabsToMove.length; i++) {
+			const { tabId, tab } = tabsToMove[i];
+			const oldIndex = tab.index;
+			let desiredIndex = targetIndex + i;
+			if (moveTarget === "active") {
+				// Earlier moves shift the tabs, so place each by the active tab as it is now
+				const currentTab = await browser.tabs.get(tabId);
+				if (currentTab.active && currentTab.windowId === windowId) {
+					moveResults.push({
+						tabId,
+						tab,
+						oldIndex,
+						newIndex: oldIndex,
+						didMove: false,
+					});
+					continue;
+				}
+				desiredIndex = await getIndexNextToActiveTab(
+					currentTab,
+					windowId,
+					activeTabOffset > 0 ? activeTabOffset + i : activeTabOffset,
+				);
+			}
+
+			try {
+				const { index: newIndex, windowId: newWindowId } =
+					await moveTabRespectingGroups(
+						/** @type {typeof tab} */ (await browser.tabs.get(tabId)),
+						windowId,
+						desiredIndex,
+						moveDirection,
+					);
+
+				const didMove = oldIndex !== newIndex || tab.windowId !== newWindowId;
+				moveResults.push({ tabId, tab, oldIndex, newIndex, didMove });
+
+				if (didMove) {
+					console.log(
+						`Moved actionable tab ${tabId} (${tab.title}) from index ${oldIndex} to ${newIndex} in window ${newWindowId}`,
+					);
+				} else {
+					console.log(
+						`Tab ${tabId} (${tab.title}) already at correct index ${newIndex}`,
+					);
+				}
+			} catch (error) {
+				console.error(`Error moving tab ${tabId}:`, error);
+				moveResults.push({
+					tabId,
+					tab,
+					oldIndex,
+					newIndex: oldIndex,
+					didMove: false,
+				});
+			}
+		}
+	}
+
+	if (moveResults.length === 0) {
 		console.log("No actionable tabs to move");
 		if (isManual) {
 			browser.notifications.create({
 				type: "basic",
 				iconUrl: "icons/icon-on-48.png",
 				title: "Actionable Tabs",
-				message: "No actionable tabs to pull",
+				message: tabIds
+					? "None of the selected tabs are actionable"
+					: "No actionable tabs to pull",
 			});
 		}
 		return null;
 	}
 
-	const targetIndex = await getTargetIndexForActionableTabs(moveDirection);
-	const tabsToMove = actionableTabsData.slice(0, moveCount);
-
-	const moveResults = [];
-	for (let i = 0; i < tabsToMove.length; i++) {
-		const { tabId, tab } = tabsToMove[i];
-		const oldIndex = tab.index;
-		const desiredIndex = targetIndex + i;
-
+	if (moveOptions.pinPulledTabs) {
+		await pinTabsUntilVisited(moveResults.map((result) => result.tabId));
+	}
+	if (moveOptions.focusPulledTab) {
 		try {
-			const movedTab = await browser.tabs.move(tabId, { index: desiredIndex });
-			const newIndex = Array.isArray(movedTab)
-				? movedTab[0].index
-				: movedTab.index;
-
-			const didMove = oldIndex !== newIndex;
-			moveResults.push({ tabId, tab, oldIndex, newIndex, didMove });
-
-			if (didMove) {
-				console.log(
-					`Moved actionable tab ${tabId} (${tab.title}) from index ${oldIndex} to ${newIndex}`,
-				);
-			} else {
-				console.log(
-					`Tab ${tabId} (${tab.title}) already at correct index ${newIndex}`,
-				);
+			const pulledTab = await browser.tabs.update(moveResults[0].tabId, {
+				active: true,
+			});
+			if (pulledTab?.windowId != null) {
+				await browser.windows.update(pulledTab.windowId, { focused: true });
 			}
 		} catch (error) {
-			console.error(`Error moving tab ${tabId}:`, error);
-			moveResults.push({
-				tabId,
-				tab,
-				oldIndex,
-				newIndex: oldIndex,
-				didMove: false,
-			});
+			console.error("Error focusing the pulled tab:", error);
 		}
 	}
 
 	const anyTabMoved = moveResults.some((result) => result.didMove);
-	const directionText = moveDirection === "right" ? "bottom/right" : "top/left";
+	// Catch-ups are recorded by the caller, with what happened to the missed runs
+	if (anyTabMoved && !isCatchUp) {
+		await recordHistoryEvent({
+			type: "pull",
+			at: Date.now(),
+			ruleId,
+			manual: isManual,
+			count: moveResults.filter((result) => result.didMove).length,
+		});
+	}
+	const directionText = `${getMoveTargetDisplayText(moveDirection, moveOptions)}${getWindowScopeDisplayText(windowScope)}${getMoveExtrasDisplayText(moveOptions)}`;
 
-	if (isManual) {
+	if (isManual && tabIds) {
+		browser.notifications.create({
+			type: "basic",
+			iconUrl: "icons/icon-on-48.png",
+			title: "Actionable Tabs",
+			message: anyTabMoved
+				? `Pulled ${moveResults.length} selected tab(s) ${directionText}`
+				: `The selected tabs are already in place (${directionText})`,
+		});
+	} else if (isManual) {
 		const { tab, didMove, oldIndex, newIndex } = moveResults[0];
 		const queueModeText = getQueueModeDisplayText(queueMode);
 
@@ -184,12 +1333,11 @@ export async function moveActionableTabsForRule(params) {
 			console.log(
 				`Moved actionable tab ${tab.id} (${tab.title}) from index ${oldIndex} to ${newIndex}`,
 			);
-			browser.notifications.create({
-				type: "basic",
-				iconUrl: "icons/icon-on-48.png",
-				title: "Actionable Tabs",
-				message: `Pulled ${queueModeText} "${tab.title}" to ${directionText}`,
-			});
+			await createTabNotification(
+				tab.id,
+				`Pulled ${queueModeText} "${tab.title}" ${directionText}`,
+				{ actions: NOTIFICATION_ACTIONS },
+			);
 		} else {
 			console.log(
 				`Tab ${tab.id} (${tab.title}) already at correct index ${newIndex}`,
@@ -198,7 +1346,7 @@ export async function moveActionableTabsForRule(params) {
 				type: "basic",
 				iconUrl: "icons/icon-on-48.png",
 				title: "Actionable Tabs",
-				message: `${queueModeText} "${tab.title}" is already at the ${directionText}`,
+				message: `${queueModeText} "${tab.title}" is already in place (${directionText})`,
 			});
 		}
 	}
@@ -207,11 +1355,11 @@ export async function moveActionableTabsForRule(params) {
 }
 
 /**
- * Clear all actionable tabs by removing the actionable session data
+ * Clear all actionable tabs in every window by removing the actionable session data
  * @returns {Promise<number>} Number of tabs that were cleared
  */
 export async function clearAllActionableTabs() {
-	const allTabs = await browser.tabs.query({ currentWindow: true });
+	const allTabs = await browser.tabs.query({});
 	const validTabs = allTabs.filter((t) => t.id != null);
 
 	let clearedCount = 0;
@@ -219,12 +1367,9 @@ export async function clearAllActionableTabs() {
 	for (const tab of validTabs) {
 		const tabId = /** @type {number} */ (tab.id);
 		try {
-			const actionableData = await browser.sessions.getTabValue(
-				tabId,
-				"actionable",
-			);
+			const actionableData = await getActionableData(tabId);
 			if (actionableData) {
-				await browser.sessions.removeTabValue(tabId, "actionable");
+				await removeActionableData(tabId);
 				clearedCount++;
 				console.log(`Cleared actionable state for tab ${tabId} (${tab.title})`);
 			}
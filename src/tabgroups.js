@@ -0,0 +1,206 @@
+/// <reference types="./ambient.d.ts" />
+
+import { isSnoozeActive } from "./snooze.js";
+import { DEFAULTS, getSettings } from "./storage.js";
+import {
+	getActionableData,
+	getActionableGroupIds,
+	isTabSnoozed,
+	supportsTabGroups,
+	updateActionableGroupIds,
+} from "./tab.js";
+
+if (typeof browser === "undefined") globalThis.browser = chrome;
+
+/** Title of the group actionable tabs are collected into, and prefix of the others */
+const GROUP_TITLE = "Actionable";
+
+/**
+ * Groups of tabs by priority, which tabs without a priority share with
+ * normal priority tabs
+ * @type {Record<import("./storage").Priority, {title: string, color: import('webextension-polyfill').TabGroups.Color}>}
+ */
+const PRIORITY_GROUPS = {
+	high: { title: `${GROUP_TITLE} !`, color: "red" },
+	normal: { title: GROUP_TITLE, color: "blue" },
+	low: { title: `${GROUP_TITLE} ↓`, color: "grey" },
+};
+
+/**
+ * Colours of tag groups, taken in the order of the tags in the settings
+ * @type {import('webextension-polyfill').TabGroups.Color[]}
+ */
+const TAG_COLORS = ["blue", "green", "purple", "orange", "cyan", "pink"];
+
+/**
+ * Group of snoozed tabs, which is collapsed if the settings ask for that
+ * @type {{title: string, color: import('webextension-polyfill').TabGroups.Color}}
+ */
+const SNOOZED_GROUP = { title: `${GROUP_TITLE} (snoozed)`, color: "grey" };
+
+/** Serializes group updates, which each read the groups the last one left */
+let groupUpdate = Promise.resolve();
+
+/**
+ * Get the group an actionable tab belongs in
+ * @param {import("./storage").ActionableData} data
+ * @param {import("./storage").Settings} settings
+ * @returns {{title: string, color: import('webextension-polyfill').TabGroups.Color}}
+ */
+function getGroupForTab(data, settings) {
+	if (isTabSnoozed(data)) return SNOOZED_GROUP;
+	if ((settings.tabGroupColor ?? DEFAULTS.tabGroupColor) === "priority") {
+		return PRIORITY_GROUPS[data.priority ?? "normal"];
+	}
+
+	const [tag] = data.tags ?? [];
+	if (!tag) return { title: GROUP_TITLE, color: "grey" };
+	const tagIndex = Math.max((settings.tags ?? DEFAULTS.tags).indexOf(tag), 0);
+	return {
+		title: `${GROUP_TITLE}: ${tag}`,
+		color: TAG_COLORS[tagIndex % TAG_COLORS.length],
+	};
+}
+
+/**
+ * Find the extension's groups the browser restored from the last session,
+ * which have new IDs: groups of only actionable tabs, titled like the group
+ * those tabs belong in
+ * @param {import('webextension-polyfill').TabGroups.TabGroup[]} groups
+ * @param {import('webextension-polyfill').Tabs.Tab[]} tabs
+ * @param {import("./storage").Settings} settings
+ * @returns {Promise<number[]>}
+ */
+async function findRestoredGroupIds(groups, tabs, settings) {
+	/** @type {number[]} */
+	const groupIds = [];
+	for (const group of groups) {
+		const groupTabs = tabs.filter((tab) => tab.groupId === group.id);
+		let restored = groupTabs.length > 0;
+		for (const tab of groupTabs) {
+			const data = tab.id != null ? await getActionableData(tab.id) : undefined;
+			if (!data || getGroupForTab(data, settings).title !== group.title) {
+				restored = false;
+				break;
+			}
+		}
+		if (restored) groupIds.push(group.id);
+	}
+	return groupIds;
+}
+
+/**
+ * Collect the actionable tabs of each window into Actionable groups, split by
+ * priority or tag, and take tabs that are no longer actionable out of them.
+ * Tabs the user put into groups of their own stay there, and pinned tabs
+ * can't be grouped. With the groups turned off, they are all ungrouped.
+ * @returns {Promise<void>} Resolves once the groups are up to date
+ */
+export function updateActionableGroups() {
+	groupUpdate = groupUpdate.then(applyActionableGroups).catch((error) => {
+		console.error("Error updating the Actionable tab groups:", error);
+	});
+	return groupUpdate;
+}
+
+async function applyActionableGroups() {
+	if (!supportsTabGroups()) return;
+
+	const settings = await getSettings();
+	const enabled = settings.tabGroups ?? DEFAULTS.tabGroups;
+	const groups = await browser.tabGroups.query({});
+	const windowTabs = await browser.tabs.query({ windowType: "normal" });
+	// Groups are told apart by ID, so groups the user names alike are left alone
+	const ownGroupIds = new Set(
+		(await getActionableGroupIds()) ??
+			(await findRestoredGroupIds(groups, windowTabs, settings)),
+	);
+	const ownGroups = groups.filter((group) => ownGroupIds.has(group.id));
+
+	/** @type {number[]} */
+	const tabIdsToUngroup = [];
+	/** @type {Map<string, {windowId: number, title: string, color: import('webextension-polyfill').TabGroups.Color, tabs: import('webextension-polyfill').Tabs.Tab[]}>} */
+	const wantedGroups = new Map();
+	for (const tab of windowTabs) {
+		if (tab.id == null || tab.windowId == null || tab.pinned) continue;
+
+		const groupId = tab.groupId ?? -1;
+		const data = enabled ? await getActionableData(tab.id) : undefined;
+		if (!data) {
+			if (ownGroupIds.has(groupId)) tabIdsToUngroup.push(tab.id);
+			continue;
+		}
+		if (groupId !== -1 && !ownGroupIds.has(groupId)) continue;
+
+		const { title, color } = getGroupForTab(data, settings);
+		const key = `${tab.windowId}\n${title}`;
+		const wantedGroup = wantedGroups.get(key) ?? {
+			windowId: tab.windowId,
+			title,
+			color,
+			tabs: [],
+		};
+		wantedGroup.tabs.push(tab);
+		wantedGroups.set(key, wantedGroup);
+	}
+
+	if (tabIdsToUngroup.length > 0) {
+		await browser.tabs.ungroup(tabIdsToUngroup);
+		console.log(
+			`Took ${tabIdsToUngroup.length} tab(s) out of the Actionable groups`,
+		);
+	}
+
+	const collapseSnoozed =
+		settings.collapseSnoozedGroups ?? DEFAULTS.collapseSnoozedGroups;
+	const rulesSnoozed = collapseSnoozed && (await isSnoozeActive());
+	for (const { windowId, title, color, tabs } of wantedGroups.values()) {
+		// Pulled tabs can have groups of their own, which they keep
+		/** @type {{id: number, title?: string, color?: import('webextension-polyfill').TabGroups.Color, collapsed?: boolean}[]} */
+		const titledGroups = ownGroups.filter(
+			(g) => g.windowId === windowId && g.title === title,
+		);
+		const tabIdsToGroup = tabs
+			.filter((tab) => !titledGroups.some((g) => g.id === tab.groupId))
+			.map((tab) => /** @type {number} */ (tab.id));
+
+		if (tabIdsToGroup.length > 0) {
+			const [group] = titledGroups;
+			const groupId = await browser.tabs.group(
+				group
+					? { groupId: group.id, tabIds: tabIdsToGroup }
+					: { tabIds: tabIdsToGroup, createProperties: { windowId } },
+			);
+			ownGroupIds.add(groupId);
+			if (!group) titledGroups.push({ id: groupId });
+		}
+
+		/** @type {import('webextension-polyfill').TabGroups.UpdateUpdatePropertiesType} */
+		const update = { title, color };
+		// Collapsing is left to the user unless the settings ask for it.
+		// Collapsing the group of the active tab would switch to another tab.
+		if (collapseSnoozed) {
+			update.collapsed =
+				!tabs.some((tab) => tab.active) &&
+				(title === SNOOZED_GROUP.title || rulesSnoozed);
+		}
+		for (const group of titledGroups) {
+			if (
+				group.title !== title ||
+				group.color !== color ||
+				(update.collapsed != null && group.collapsed !== update.collapsed)
+			) {
+				await browser.tabGroups.update(group.id, update);
+			}
+		}
+	}
+
+	// Groups that were emptied are gone, so their IDs are dropped
+	const groupIds = new Set(
+		(await browser.tabGroups.query({})).map((group) => group.id),
+	);
+	await updateActionableGroupIds((ids) => {
+		for (const id of ownGroupIds) ids.add(id);
+		for (const id of ids) if (!groupIds.has(id)) ids.delete(id);
+	});
+}
@@ -0,0 +1,193 @@
+/// <reference types="./ambient.d.ts" />
+
+import { getDueTimeForPreset } from "./due.js";
+import { recordHistoryEvent } from "./history.js";
+import {
+	createTabNotification,
+	NOTIFICATION_ACTIONS,
+} from "./notifications.js";
+import { DEFAULTS, getSettings } from "./storage.js";
+import { getActionableData, pullTab, setActionableData } from "./tab.js";
+import { updateActionableGroups } from "./tabgroups.js";
+
+if (typeof browser === "undefined") globalThis.browser = chrome;
+
+const TAB_SNOOZE_ALARM_PREFIX = "tab-snooze_";
+
+/**
+ * Preset snooze times offered in menus and the popup, in display order
+ */
+export const TAB_SNOOZE_PRESETS = [
+	{ id: "1h", title: "For 1 hour" },
+	{ id: "today-15", title: "Until 15:00" },
+	{ id: "tomorrow-9", title: "Until tomorrow 9:00" },
+	{ id: "monday-9", title: "Until next Monday 9:00" },
+];
+
+/**
+ * Resolve a tab snooze preset to an absolute time
+ * @param {string} preset - One of the TAB_SNOOZE_PRESETS ids
+ * @param {Date} [now] - Reference time
+ * @returns {number | null} Epoch ms when the snooze ends, or null for an unknown preset
+ */
+export function getTabSnoozeTimeForPreset(preset, now = new Date()) {
+	if (preset === "today-15") {
+		// Today at 15:00, or tomorrow once that has passed
+		const until = new Date(now);
+		until.setHours(15, 0, 0, 0);
+		if (until.getTime() <= now.getTime()) until.setDate(until.getDate() + 1);
+		return until.getTime();
+	}
+	return getDueTimeForPreset(preset, now);
+}
+
+/**
+ * Get the tab ID encoded in a tab snooze alarm name
+ * @param {string} alarmName
+ * @returns {number | null} Tab ID, or null if the alarm is not a tab snooze alarm
+ */
+export function getTabIdFromTabSnoozeAlarm(alarmName) {
+	if (!alarmName.startsWith(TAB_SNOOZE_ALARM_PREFIX)) return null;
+	const tabId = Number(alarmName.slice(TAB_SNOOZE_ALARM_PREFIX.length));
+	return Number.isInteger(tabId) ? tabId : null;
+}
+
+/**
+ * Clear the snooze alarm for a tab, if any
+ * @param {number} tabId
+ */
+export async function clearTabSnoozeAlarm(tabId) {
+	await browser.alarms.clear(`${TAB_SNOOZE_ALARM_PREFIX}${tabId}`);
+}
+
+/**
+ * Schedule the alarm that brings a snoozed tab back
+ * @param {number} tabId
+ * @param {number} snoozedUntil - Epoch ms
+ */
+export async function scheduleTabSnoozeAlarm(tabId, snoozedUntil) {
+	await browser.alarms.create(`${TAB_SNOOZE_ALARM_PREFIX}${tabId}`, {
+		when: snoozedUntil,
+	});
+}
+
+/**
+ * Hide a tab from the queue until a time, marking it as actionable if needed,
+ * and discard it or move it out of the way if the settings ask for that
+ * @param {number} tabId
+ * @param {number} snoozedUntil - Epoch ms
+ */
+export async function snoozeTab(tabId, snoozedUntil) {
+	const data = (await getActionableData(tabId)) ?? { markedAt: Date.now() };
+	await setActionableData(tabId, { ...data, snoozedUntil });
+	await scheduleTabSnoozeAlarm(tabId, snoozedUntil);
+	// Regroup first, so moving the tab doesn't bring its old group along
+	await updateActionableGroups();
+
+	const tab =
+		/** @type {import('webextension-polyfill').Tabs.Tab & {id: number}} */ (
+			await browser.tabs.get(tabId)
+		);
+	await recordHistoryEvent({
+		type: "snooze",
+		at: Date.now(),
+		url: tab.url,
+		title: tab.title,
+		detail: `Snoozed "${tab.title}" until ${new Date(snoozedUntil).toLocaleString()}`,
+	});
+
+	const settings = await getSettings();
+	switch (settings.snoozedTabAction ?? DEFAULTS.snoozedTabAction) {
+		case "move":
+			await pullTab(tab, "right");
+			break;
+		case "discard":
+			try {
+				await browser.tabs.discard(tabId);
+			} catch (error) {
+				// The active tab can't be discarded
+				console.log(`Could not discard snoozed tab ${tabId}:`, String(error));
+			}
+			break;
+	}
+	console.log(
+		`Tab ${tabId} snoozed until ${new Date(snoozedUntil).toISOString()}`,
+	);
+}
+
+/**
+ * End a tab's snooze, bringing the tab back to the top/left of its window
+ * @param {number} tabId
+ * @param {boolean} notify - Whether to notify that the tab is back, for snoozes that ran out
+ */
+export async function unsnoozeTab(tabId, notify) {
+	await clearTabSnoozeAlarm(tabId);
+	const data = await getActionableData(tabId);
+	if (data?.snoozedUntil == null) return;
+
+	const { snoozedUntil: _removed, ...rest } = data;
+	await setActionableData(tabId, rest);
+	await updateActionableGroups();
+	const tab =
+		/** @type {import('webextension-polyfill').Tabs.Tab & {id: number}} */ (
+			await browser.tabs.get(tabId)
+		);
+	await pullTab(tab, "left");
+
+	const settings = await getSettings();
+	if (notify && (settings.dueNotifications ?? DEFAULTS.dueNotifications)) {
+		await createTabNotification(tabId, `"${tab.title}" is back from snooze`, {
+			actions: NOTIFICATION_ACTIONS,
+		});
+	}
+	console.log(`Tab ${tabId} is back from snooze`);
+}
+
+/**
+ * Handle a snooze alarm firing for a tab
+ * @param {number} tabId
+ */
+export async function handleTabSnoozeAlarm(tabId) {
+	try {
+		const data = await getActionableData(tabId);
+		if (data?.snoozedUntil == null) return;
+
+		// Reschedule alarms that fired early or were left over from an older snooze
+		if (data.snoozedUntil > Date.now() + 1000) {
+			await scheduleTabSnoozeAlarm(tabId, data.snoozedUntil);
+			return;
+		}
+
+		await unsnoozeTab(tabId, true);
+	} catch (error) {
+		console.log(`Snoozed tab ${tabId} is no longer available:`, String(error));
+	}
+}
+
+/**
+ * Recreate snooze alarms from the tabs' session values and bring back tabs
+ * whose snooze ran out while the browser was closed. Tab IDs change across
+ * restarts, so alarms from a previous session are discarded first.
+ */
+export async function reconcileTabSnoozeAlarms() {
+	const alarms = await browser.alarms.getAll();
+	for (const alarm of alarms) {
+		if (alarm.name.startsWith(TAB_SNOOZE_ALARM_PREFIX)) {
+			await browser.alarms.clear(alarm.name);
+		}
+	}
+
+	const allTabs = await browser.tabs.query({});
+	const now = Date.now();
+	for (const tab of allTabs) {
+		if (tab.id == null) continue;
+		const data = await getActionableData(tab.id);
+		if (data?.snoozedUntil == null) continue;
+
+		if (data.snoozedUntil <= now) {
+			await unsnoozeTab(tab.id, true);
+		} else {
+			await scheduleTabSnoozeAlarm(tab.id, data.snoozedUntil);
+		}
+	}
+}